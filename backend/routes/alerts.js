@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const alertService = require('../services/alertService');
+const authService = require('../services/authService');
+
+// GET /api/alerts - List alert rules with their current state
+router.get('/', (req, res) => {
+    try {
+        const rules = alertService.list();
+
+        res.json({
+            success: true,
+            data: rules,
+            count: rules.length,
+            status: alertService.getStatus()
+        });
+
+    } catch (error) {
+        console.error('Error listing alert rules:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/alerts/history - State changes, newest first (?ruleId=&limit=)
+router.get('/history', (req, res) => {
+    try {
+        const { ruleId, limit = '100' } = req.query;
+        const entries = alertService.getHistory({ ruleId, limit: parseInt(limit) || undefined });
+
+        res.json({
+            success: true,
+            data: entries,
+            count: entries.length
+        });
+
+    } catch (error) {
+        console.error('Error getting alert history:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts/evaluate - Evaluate every enabled rule now
+router.post('/evaluate', authService.requireRole('admin'), async (req, res) => {
+    try {
+        const rules = await alertService.evaluateAll();
+
+        res.json({
+            success: true,
+            data: rules,
+            count: rules.length,
+            status: alertService.getStatus()
+        });
+
+    } catch (error) {
+        console.error('Error evaluating alert rules:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/alerts/:id - Get one alert rule
+router.get('/:id', (req, res) => {
+    try {
+        const rule = alertService.get(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Alert rule not found',
+                message: `No alert rule with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Error getting alert rule:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts - Create an alert rule
+// ({ name, blueprint, metric, statistic, filter, comparison, threshold, windowDays, enabled })
+router.post('/', authService.requireRole('admin'), (req, res) => {
+    try {
+        let rule;
+        try {
+            rule = alertService.create(req.body || {});
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid alert rule',
+                message: validationError.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Error creating alert rule:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/alerts/:id - Change some or all fields of an alert rule
+router.put('/:id', authService.requireRole('admin'), (req, res) => {
+    try {
+        let rule;
+        try {
+            rule = alertService.update(req.params.id, req.body || {});
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid alert rule',
+                message: validationError.message
+            });
+        }
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Alert rule not found',
+                message: `No alert rule with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Error updating alert rule:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/alerts/:id - Delete an alert rule (its history is kept)
+router.delete('/:id', authService.requireRole('admin'), (req, res) => {
+    try {
+        if (!alertService.remove(req.params.id)) {
+            return res.status(404).json({
+                error: 'Alert rule not found',
+                message: `No alert rule with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert rule deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting alert rule:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/alerts/:id/evaluate - Evaluate one rule now, even when it is disabled
+router.post('/:id/evaluate', authService.requireRole('admin'), async (req, res) => {
+    try {
+        const rule = alertService.get(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Alert rule not found',
+                message: `No alert rule with id ${req.params.id}`
+            });
+        }
+
+        await alertService.evaluate(rule);
+        alertService.save();
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Error evaluating alert rule:', error);
+        res.status(500).json({
+            error: 'Alerts Error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
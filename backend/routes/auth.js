@@ -1,12 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const tokenManager = require('../services/tokenManager');
+const connections = require('../services/connections');
+const authService = require('../services/authService');
+
+// Token routes act on one connection: `org` in the query or body, the default org when omitted.
+// Sends a 400 and returns null for an unknown org.
+function getTokenManager(req, res) {
+    const org = req.query.org || (req.body && req.body.org);
+    const connection = connections.get(org || undefined);
+    if (!connection) {
+        res.status(400).json({
+            error: 'Invalid org',
+            message: `Unknown org: ${org}. Available: ${connections.getIds().join(', ')}`
+        });
+        return null;
+    }
+    return connection.tokenManager;
+}
 
 // POST /api/auth/validate - Validate current environment token
 router.post('/validate', async (req, res) => {
     try {
-        const tokenManager = require('../services/tokenManager');
-        const token = tokenManager.getCurrentToken();
+        const tokenManager = getTokenManager(req, res);
+        if (!tokenManager) {
+            return;
+        }
+
+        const token = await tokenManager.getValidToken();
         
         if (!token) {
             return res.status(400).json({ 
@@ -32,14 +52,20 @@ router.post('/validate', async (req, res) => {
     }
 });
 
-// GET /api/auth/status - Get current token status
+// GET /api/auth/status - Get current token status (plus every connection's under `connections`)
 router.get('/status', (req, res) => {
     try {
+        const tokenManager = getTokenManager(req, res);
+        if (!tokenManager) {
+            return;
+        }
+
         const status = tokenManager.getStatus();
         
         res.json({
             success: true,
-            data: status
+            data: status,
+            connections: connections.getIds().map(id => connections.get(id).tokenManager.getStatus())
         });
         
     } catch (error) {
@@ -51,10 +77,25 @@ router.get('/status', (req, res) => {
     }
 });
 
-// POST /api/auth/rotate - Manually rotate token
-router.post('/rotate', (req, res) => {
+// POST /api/auth/rotate - Manually rotate token (admins only)
+router.post('/rotate', authService.requireRole('admin'), async (req, res) => {
     try {
-        tokenManager.rotateToken();
+        const tokenManager = getTokenManager(req, res);
+        if (!tokenManager) {
+            return;
+        }
+
+        // Resolves once the new token is in place (joining a refresh already in progress)
+        try {
+            await tokenManager.manualRotate();
+        } catch (rotationError) {
+            // Neither Port nor the backup tokens gave a new token
+            return res.status(502).json({
+                error: 'Rotation Error',
+                message: rotationError.message,
+                data: tokenManager.getStatus()
+            });
+        }
         
         res.json({
             success: true,
@@ -72,8 +113,14 @@ router.post('/rotate', (req, res) => {
 });
 
 // POST /api/auth/generate - Generate new token programmatically
-router.post('/generate', async (req, res) => {
+// Admins only: the response contains the raw Port access token
+router.post('/generate', authService.requireRole('admin'), async (req, res) => {
     try {
+        const tokenManager = getTokenManager(req, res);
+        if (!tokenManager) {
+            return;
+        }
+
         const newToken = await tokenManager.generateNewToken();
         
         res.json({
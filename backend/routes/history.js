@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const snapshotService = require('../services/snapshotService');
+const aggregation = require('../services/aggregation');
+const metricDefinitions = require('../services/metricDefinitions');
+const blueprintDefaults = require('../services/blueprintDefaults');
+const authService = require('../services/authService');
+
+// GET /api/history - Daily series stored by the snapshots, independent of what Port returns now
+router.get('/', (req, res) => {
+    try {
+        const {
+            blueprint = blueprintDefaults.defaultBlueprint,
+            metric = metricDefinitions.getDefaultId(blueprint),
+            statistic = 'median',
+            timeRange = 'all',
+            startDate,
+            endDate
+        } = req.query;
+
+        const definition = metricDefinitions.list(blueprint).find(item => item.id === metric);
+        if (!definition) {
+            return res.status(400).json({
+                error: 'Invalid metric',
+                message: `Snapshots cover the preset metrics of ${blueprint}: ${metricDefinitions.list(blueprint).map(item => item.id).join(', ')}`
+            });
+        }
+
+        if (!snapshotService.statistics.includes(statistic)) {
+            return res.status(400).json({
+                error: 'Invalid statistic',
+                message: `Statistic must be one of: ${snapshotService.statistics.join(', ')}`
+            });
+        }
+
+        let range;
+        try {
+            range = aggregation.getDateRange({ timeRange, startDate, endDate, timeZone: snapshotService.timeZone });
+        } catch (rangeError) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: rangeError.message
+            });
+        }
+
+        const { data, summaries } = snapshotService.getHistory({ blueprint, metricId: metric, statistic, range });
+
+        res.json({
+            success: true,
+            source: 'history',
+            data: data,
+            count: data.length,
+            summaries: summaries,
+            snapshotCount: summaries.length,
+            blueprint: blueprint,
+            statistic: statistic,
+            bucket: 'day',
+            timezone: snapshotService.timeZone,
+            range: range,
+            metric: {
+                ...definition,
+                description: metricDefinitions.describe(definition)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error getting history:', error);
+        res.status(500).json({
+            error: 'History Error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/history/snapshots - Snapshot log (newest first) and the schedule status
+router.get('/snapshots', (req, res) => {
+    try {
+        const { blueprint, limit = '100' } = req.query;
+        const snapshots = snapshotService.listSnapshots({ blueprint, limit: parseInt(limit) || undefined });
+
+        res.json({
+            success: true,
+            data: snapshots,
+            count: snapshots.length,
+            status: snapshotService.getStatus()
+        });
+
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        res.status(500).json({
+            error: 'History Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/history/snapshots - Take a snapshot now ({ blueprint } for a single blueprint)
+router.post('/snapshots', authService.requireRole('admin'), async (req, res) => {
+    try {
+        const { blueprint } = req.body || {};
+        const { snapshots, errors } = await snapshotService.takeSnapshots(blueprint ? [blueprint] : undefined);
+
+        res.status(snapshots.length > 0 ? 201 : 502).json({
+            success: errors.length === 0,
+            data: snapshots,
+            errors: errors,
+            status: snapshotService.getStatus()
+        });
+
+    } catch (error) {
+        console.error('Error taking snapshot:', error);
+        res.status(500).json({
+            error: 'History Error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,123 @@
 const express = require('express');
 const router = express.Router();
 const portService = require('../services/portService');
+const connections = require('../services/connections');
+const aggregation = require('../services/aggregation');
+const metricDefinitions = require('../services/metricDefinitions');
+const filterExpression = require('../services/filterExpression');
+const blueprintDefaults = require('../services/blueprintDefaults');
+const timeZones = require('../services/timeZones');
+const chartExport = require('../services/chartExport');
+const authService = require('../services/authService');
+
+// Every route takes `org`: a connection id, several comma-separated ids or `all` (the default org when omitted)
+router.use((req, res, next) => {
+    try {
+        connections.resolve(req.query.org);
+    } catch (resolveError) {
+        return res.status(400).json({
+            error: 'Invalid org',
+            message: resolveError.message
+        });
+    }
+    next();
+});
+
+// GET /api/port/orgs - Configured Port connections for the org selector
+router.get('/orgs', (req, res) => {
+    res.json({
+        success: true,
+        data: connections.list(),
+        defaultOrg: connections.defaultId
+    });
+});
 
 // GET /api/port/entities - Fetch entities from Port
 router.get('/entities', async (req, res) => {
     try {
-        const { blueprint = 'github_pull_request' } = req.query;
-        
-        const entities = await portService.getEntities(blueprint);
+        const {
+            blueprint = blueprintDefaults.defaultBlueprint,
+            limit,
+            from,
+            startDate,
+            endDate,
+            dateProperty = 'createdAt',
+            jsonProperty = 'default',
+            propertyValue = 'all',
+            combinator = 'and',
+            org
+        } = req.query;
+
+        let rules;
+        try {
+            rules = req.query.rules ? JSON.parse(req.query.rules) : [];
+        } catch (parseError) {
+            rules = null;
+        }
+        if (!Array.isArray(rules)) {
+            return res.status(400).json({
+                error: 'Invalid rules',
+                message: 'rules must be a JSON array of Port search rules'
+            });
+        }
+
+        if (limit && !/^[1-9]\d*$/.test(limit)) {
+            return res.status(400).json({
+                error: 'Invalid limit',
+                message: 'limit must be a positive whole number'
+            });
+        }
+
+        let filter;
+        try {
+            filter = filterExpression.parse(req.query.filter);
+        } catch (parseError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: parseError.message
+            });
+        }
+
+        // Date range and property equality are filtered on Port's side
+        const equals = jsonProperty !== 'default' && propertyValue !== 'all'
+            ? { [jsonProperty]: propertyValue }
+            : {};
+        rules = rules.concat(portService.buildSearchRules({ startDate, endDate, dateProperty, equals }));
+
+        // With a limit, return one page and the cursor for the next one
+        if (limit) {
+            if (connections.resolve(org).length > 1) {
+                return res.status(400).json({
+                    error: 'Invalid org',
+                    message: 'limit/from paging needs a single org'
+                });
+            }
+
+            const page = await portService.getEntitiesPage(blueprint, {
+                rules,
+                combinator,
+                from,
+                // Port's own maximum; larger pages are cut down rather than rejected by Port
+                limit: Math.min(parseInt(limit), portService.maxPageSize),
+                org
+            });
+
+            // The filter expression is applied per page, so pages may come back short
+            const pageEntities = filterExpression.apply(page.entities, filter);
+
+            return res.json({
+                success: true,
+                data: pageEntities,
+                count: pageEntities.length,
+                next: page.next,
+                blueprint: blueprint
+            });
+        }
+
+        const entities = filterExpression.apply(
+            await portService.getEntities(blueprint, { rules, combinator, org }),
+            filter
+        );
         
         res.json({
             success: true,
@@ -41,12 +151,13 @@ router.get('/entities', async (req, res) => {
 // GET /api/port/blueprints - List available blueprints
 router.get('/blueprints', async (req, res) => {
     try {
-        const blueprints = await portService.getBlueprints();
+        const blueprints = await portService.getBlueprints(req.query.org);
         
         res.json({
             success: true,
             data: blueprints,
-            count: blueprints.length
+            count: blueprints.length,
+            defaultBlueprint: blueprintDefaults.defaultBlueprint
         });
         
         } catch (error) {
@@ -74,10 +185,13 @@ router.get('/blueprints', async (req, res) => {
 // GET /api/port/properties - Extract properties from entities
 router.get('/properties', async (req, res) => {
     try {
-        const { blueprint = 'github_pull_request' } = req.query;
+        const { blueprint = blueprintDefaults.defaultBlueprint, type, org } = req.query;
         
-        const entities = await portService.getEntities(blueprint);
-        const properties = portService.extractProperties(entities);
+        const entities = await portService.getEntities(blueprint, { org });
+        // type=date limits the list to date properties (metric start/end candidates)
+        const properties = type === 'date'
+            ? portService.extractDateProperties(entities)
+            : portService.extractProperties(entities);
         
         res.json({
             success: true,
@@ -112,9 +226,19 @@ router.get('/properties', async (req, res) => {
 router.get('/values/:property', async (req, res) => {
     try {
         const { property } = req.params;
-        const { blueprint = 'github_pull_request' } = req.query;
+        const { blueprint = blueprintDefaults.defaultBlueprint, org } = req.query;
+
+        let filter;
+        try {
+            filter = filterExpression.parse(req.query.filter);
+        } catch (parseError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: parseError.message
+            });
+        }
         
-        const entities = await portService.getEntities(blueprint);
+        const entities = filterExpression.apply(await portService.getEntities(blueprint, { org }), filter);
         const values = portService.getPropertyValues(entities, property);
         
         res.json({
@@ -147,4 +271,606 @@ router.get('/values/:property', async (req, res) => {
         }
 });
 
+// GET /api/port/metrics - List lifecycle metric definitions for a blueprint
+router.get('/metrics', (req, res) => {
+    const { blueprint = blueprintDefaults.defaultBlueprint } = req.query;
+    const definitions = metricDefinitions.list(blueprint);
+
+    res.json({
+        success: true,
+        data: definitions,
+        count: definitions.length,
+        defaultMetric: metricDefinitions.getDefaultId(blueprint),
+        blueprint: blueprint
+    });
+});
+
+// GET /api/port/defaults - Dashboard defaults for a blueprint
+router.get('/defaults', (req, res) => {
+    const { blueprint = blueprintDefaults.defaultBlueprint } = req.query;
+
+    res.json({
+        success: true,
+        data: blueprintDefaults.get(blueprint),
+        blueprint: blueprint,
+        defaultBlueprint: blueprintDefaults.defaultBlueprint
+    });
+});
+
+// Validate the query parameters shared by /chart and its exports.
+// Returns { invalid: { error, message } } when a parameter is rejected.
+function parseChartQuery(query) {
+    const {
+        blueprint = blueprintDefaults.defaultBlueprint,
+        timeRange = '30',
+        startDate,
+        endDate,
+        timezone = 'UTC',
+        jsonProperty = 'default',
+        propertyValue = 'all',
+        statistic = 'median',
+        bucket = 'day',
+        metric,
+        start,
+        end,
+        open,
+        groupBy,
+        topN = '5',
+        other = 'true',
+        compare = 'none',
+        distribution = 'none',
+        bins = '20',
+        scale = 'linear',
+        anomalies = 'none',
+        sensitivity,
+        anomalyWindow = String(aggregation.anomalyWindow),
+        anomalyTopN = '5',
+        org
+    } = query;
+
+    let definition;
+    try {
+        definition = metricDefinitions.resolve({ blueprint, metric, start, end, open });
+    } catch (resolveError) {
+        return { invalid: { error: 'Invalid metric', message: resolveError.message } };
+    }
+
+    let filter;
+    try {
+        filter = filterExpression.parse(query.filter);
+    } catch (parseError) {
+        return { invalid: { error: 'Invalid filter', message: parseError.message } };
+    }
+
+    if (!timeZones.isValid(timezone)) {
+        return { invalid: { error: 'Invalid timezone', message: `Unknown IANA time zone: ${timezone}` } };
+    }
+
+    let range;
+    try {
+        range = aggregation.getDateRange({ timeRange, startDate, endDate, timeZone: timezone });
+    } catch (rangeError) {
+        return { invalid: { error: 'Invalid date range', message: rangeError.message } };
+    }
+
+    if (!aggregation.isValidStatistic(statistic)) {
+        return {
+            invalid: {
+                error: 'Invalid statistic',
+                message: `Statistic must be one of: ${aggregation.statistics.join(', ')}, or a percentile such as p80`
+            }
+        };
+    }
+
+    if (!aggregation.bucketSizes.includes(bucket)) {
+        return {
+            invalid: {
+                error: 'Invalid bucket',
+                message: `Bucket must be one of: ${aggregation.bucketSizes.join(', ')}`
+            }
+        };
+    }
+
+    if (!aggregation.distributions.includes(distribution)) {
+        return {
+            invalid: {
+                error: 'Invalid distribution',
+                message: `Distribution must be one of: ${aggregation.distributions.join(', ')}`
+            }
+        };
+    }
+
+    const binCount = parseInt(bins);
+    if (isNaN(binCount) || binCount < 1 || binCount > 200) {
+        return { invalid: { error: 'Invalid bins', message: 'bins must be a number between 1 and 200' } };
+    }
+
+    if (!aggregation.histogramScales.includes(scale)) {
+        return {
+            invalid: {
+                error: 'Invalid scale',
+                message: `Scale must be one of: ${aggregation.histogramScales.join(', ')}`
+            }
+        };
+    }
+
+    if (!aggregation.anomalyMethods.includes(anomalies)) {
+        return {
+            invalid: {
+                error: 'Invalid anomaly detection',
+                message: `anomalies must be one of: ${aggregation.anomalyMethods.join(', ')}`
+            }
+        };
+    }
+
+    const sensitivityValue = sensitivity === undefined || sensitivity === '' ? undefined : parseFloat(sensitivity);
+    if (sensitivityValue !== undefined && !(sensitivityValue > 0)) {
+        return { invalid: { error: 'Invalid sensitivity', message: 'sensitivity must be a positive number (score threshold)' } };
+    }
+
+    const windowSize = parseInt(anomalyWindow);
+    if (isNaN(windowSize) || windowSize < aggregation.minAnomalyBaseline || windowSize > 90) {
+        return {
+            invalid: {
+                error: 'Invalid anomaly window',
+                message: `anomalyWindow must be a number of buckets between ${aggregation.minAnomalyBaseline} and 90`
+            }
+        };
+    }
+
+    let comparisonRange;
+    if (compare !== 'none') {
+        if (!aggregation.comparisonModes.includes(compare)) {
+            return {
+                invalid: {
+                    error: 'Invalid comparison',
+                    message: `Compare must be one of: none, ${aggregation.comparisonModes.join(', ')}`
+                }
+            };
+        }
+
+        try {
+            comparisonRange = aggregation.getComparisonRange(range, compare, timezone);
+        } catch (rangeError) {
+            return { invalid: { error: 'Invalid comparison', message: rangeError.message } };
+        }
+    }
+
+    return {
+        blueprint,
+        org,
+        timezone,
+        statistic,
+        bucket,
+        compare,
+        range,
+        comparisonRange,
+        definition,
+        filter,
+        groupBy: groupBy && groupBy !== 'none' ? groupBy : undefined,
+        chartOptions: {
+            timeZone: timezone,
+            jsonProperty,
+            propertyValue,
+            filter,
+            statistic,
+            bucketSize: bucket,
+            definition,
+            groupBy: groupBy && groupBy !== 'none' ? groupBy : undefined,
+            topN: Math.max(parseInt(topN) || 5, 1),
+            includeOther: other !== 'false',
+            distribution,
+            bins: binCount,
+            histogramScale: scale,
+            anomalies,
+            sensitivity: sensitivityValue,
+            anomalyWindow: windowSize
+        },
+        anomalyTopN: Math.max(parseInt(anomalyTopN) || 5, 1)
+    };
+}
+
+// Let Port narrow the entities down to the range (by the metric's start timestamp)
+function fetchChartEntities(blueprint, range, definition, org) {
+    return portService.getEntities(blueprint, {
+        rules: portService.buildSearchRules({
+            startDate: range.start,
+            endDate: range.end,
+            dateProperty: definition.start
+        }),
+        org
+    });
+}
+
+// Drill-down rows for entities of one bucket, longest first, with Tukey outliers flagged
+function toDrillDownRows(bucketEntities, chartQuery) {
+    const { definition, bucket, timezone, blueprint } = chartQuery;
+    const columns = blueprintDefaults.get(blueprint).drillDown || blueprintDefaults.fallback.drillDown;
+    const hours = bucketEntities.map(entity => aggregation.getEntityHours(entity, definition));
+    const fences = aggregation.getOutlierFences(hours);
+
+    // Rows are in entity order; identifiers can repeat across combined orgs
+    const rows = aggregation.toEntityRows(bucketEntities, { definition, bucketSize: bucket, timeZone: timezone })
+        .map((row, index) => {
+            const entity = bucketEntities[index];
+            return {
+                identifier: row.identifier,
+                ...(entity.org && { org: entity.org }),
+                title: row.title,
+                author: aggregation.getFirstValue(entity, columns.author),
+                repository: aggregation.getFirstValue(entity, columns.repository),
+                hours: row.hours,
+                start: row.start,
+                end: row.end,
+                links: {
+                    port: portService.getEntityURL(blueprint, row.identifier, entity.org),
+                    source: aggregation.getFirstValue(entity, columns.link)
+                },
+                outlier: row.hours > fences.upper || row.hours < fences.lower
+            };
+        })
+        .sort((a, b) => b.hours - a.hours);
+
+    return { rows, hours, fences };
+}
+
+// Run the aggregation for a parsed chart query.
+// Returns the /chart response body and the filtered entities behind it.
+async function buildChart(chartQuery) {
+    const { blueprint, org, range, comparisonRange, definition, filter, chartOptions } = chartQuery;
+
+    const entities = await fetchChartEntities(blueprint, range, definition, org);
+    const result = aggregation.processEntitiesForChart(entities, {
+        ...chartOptions,
+        range
+    });
+
+    // Same aggregation over the comparison period, overlaid on the total series
+    let comparison;
+    if (comparisonRange) {
+        const comparisonEntities = await fetchChartEntities(blueprint, comparisonRange, definition, org);
+        const previous = aggregation.processEntitiesForChart(comparisonEntities, {
+            ...chartOptions,
+            groupBy: undefined,
+            range: comparisonRange
+        });
+
+        comparison = {
+            mode: chartQuery.compare,
+            range: comparisonRange,
+            data: previous.series,
+            entityCount: previous.entityCount,
+            summary: previous.summary,
+            deltas: aggregation.compareSummaries(result.summary, previous.summary)
+        };
+    }
+
+    // Entities behind each flagged bucket - the longest for a spike, the shortest for a dip
+    const anomalies = result.anomalies && result.anomalies.map(anomaly => {
+        const bucketEntities = aggregation.getBucketEntities(result.entities, {
+            date: anomaly.date,
+            bucketSize: chartQuery.bucket,
+            timeZone: chartQuery.timezone,
+            definition
+        });
+        const { rows } = toDrillDownRows(bucketEntities, chartQuery);
+        const ordered = anomaly.direction === 'low' ? rows.reverse() : rows;
+        return { ...anomaly, entities: ordered.slice(0, chartQuery.anomalyTopN) };
+    });
+
+    const body = {
+        success: true,
+        data: result.series,
+        count: result.series.length,
+        entityCount: result.entityCount,
+        excludedCount: result.excludedCount,
+        blueprint: blueprint,
+        ...(org && { org: org }),
+        statistic: chartQuery.statistic,
+        bucket: chartQuery.bucket,
+        timezone: chartQuery.timezone,
+        range: range,
+        summary: result.summary,
+        ...(result.histogram && { histogram: result.histogram }),
+        ...(anomalies && {
+            anomalies: anomalies,
+            anomalyDetection: {
+                method: chartOptions.anomalies,
+                sensitivity: chartOptions.sensitivity || aggregation.anomalySensitivity[chartOptions.anomalies],
+                window: chartOptions.anomalyWindow
+            }
+        }),
+        ...(comparison && { comparison: comparison }),
+        ...(result.groups && { groupBy: chartQuery.groupBy, groups: result.groups }),
+        ...(filter && { filter: filter, filterDescription: filterExpression.describe(filter) }),
+        metric: {
+            ...definition,
+            description: metricDefinitions.describe(definition)
+        }
+    };
+
+    return { body, entities: result.entities };
+}
+
+// GET /api/port/chart - Aggregated chart series computed server-side
+router.get('/chart', async (req, res) => {
+    try {
+        const chartQuery = parseChartQuery(req.query);
+        if (chartQuery.invalid) {
+            return res.status(400).json(chartQuery.invalid);
+        }
+
+        const { body } = await buildChart(chartQuery);
+        res.json(body);
+
+        } catch (error) {
+            console.error('Error building chart data:', error);
+            
+            if (error.response) {
+                // Port API error - pass through the detailed error
+                const portError = error.response.data;
+                res.status(error.response.status).json({
+                    error: portError.error || 'Port API Error',
+                    message: portError.message || error.message,
+                    status: error.response.status,
+                    details: portError.details || null
+                });
+            } else {
+                // Internal error
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message
+                });
+            }
+        }
+});
+
+// GET /api/port/chart.csv - The /chart series as CSV (one row per bucket, every statistic)
+router.get('/chart.csv', async (req, res) => {
+    try {
+        const chartQuery = parseChartQuery(req.query);
+        if (chartQuery.invalid) {
+            return res.status(400).json(chartQuery.invalid);
+        }
+
+        const { body } = await buildChart(chartQuery);
+        res.attachment(chartExport.getFilename(body, 'csv'));
+        res.type('text/csv').send(chartExport.seriesToCsv(body));
+
+        } catch (error) {
+            console.error('Error exporting chart data:', error);
+            
+            if (error.response) {
+                // Port API error - pass through the detailed error
+                const portError = error.response.data;
+                res.status(error.response.status).json({
+                    error: portError.error || 'Port API Error',
+                    message: portError.message || error.message,
+                    status: error.response.status,
+                    details: portError.details || null
+                });
+            } else {
+                // Internal error
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message
+                });
+            }
+        }
+});
+
+// GET /api/port/chart/entities - Filtered entities behind the /chart series (JSON, or CSV with format=csv)
+router.get('/chart/entities', async (req, res) => {
+    try {
+        const chartQuery = parseChartQuery(req.query);
+        if (chartQuery.invalid) {
+            return res.status(400).json(chartQuery.invalid);
+        }
+
+        const { body, entities } = await buildChart(chartQuery);
+        const rows = aggregation.toEntityRows(entities, {
+            definition: chartQuery.definition,
+            bucketSize: chartQuery.bucket,
+            timeZone: chartQuery.timezone
+        });
+
+        if (req.query.format === 'csv') {
+            res.attachment(chartExport.getFilename(body, 'csv', 'entities'));
+            return res.type('text/csv').send(chartExport.entitiesToCsv(rows));
+        }
+
+        res.json({
+            success: true,
+            data: rows,
+            count: rows.length,
+            blueprint: body.blueprint,
+            range: body.range,
+            ...(body.filter && { filter: body.filter, filterDescription: body.filterDescription }),
+            metric: body.metric
+        });
+
+        } catch (error) {
+            console.error('Error exporting chart entities:', error);
+            
+            if (error.response) {
+                // Port API error - pass through the detailed error
+                const portError = error.response.data;
+                res.status(error.response.status).json({
+                    error: portError.error || 'Port API Error',
+                    message: portError.message || error.message,
+                    status: error.response.status,
+                    details: portError.details || null
+                });
+            } else {
+                // Internal error
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message
+                });
+            }
+        }
+});
+
+// GET /api/port/kpis - Headline numbers for the /chart parameters, with the trend vs the previous period
+// (or vs the same period last year with compare=lastYear)
+router.get('/kpis', async (req, res) => {
+    try {
+        const chartQuery = parseChartQuery(req.query);
+        if (chartQuery.invalid) {
+            return res.status(400).json(chartQuery.invalid);
+        }
+
+        const { blueprint, org, range, definition, bucket, timezone, chartOptions } = chartQuery;
+        const kpiOptions = { bucketSize: bucket, timeZone: timezone, definition };
+
+        const entities = await fetchChartEntities(blueprint, range, definition, org);
+        const result = aggregation.processEntitiesForChart(entities, { ...chartOptions, groupBy: undefined, range });
+        let kpis = aggregation.buildKpis(result, { ...kpiOptions, range });
+
+        // Trends need a bounded range; "Last N days" always has one
+        const compare = chartQuery.compare === 'none' ? 'previous' : chartQuery.compare;
+        let comparisonRange = null;
+        if (range.start && range.end) {
+            comparisonRange = aggregation.getComparisonRange(range, compare, timezone);
+            const previousEntities = await fetchChartEntities(blueprint, comparisonRange, definition, org);
+            const previous = aggregation.processEntitiesForChart(previousEntities, {
+                ...chartOptions,
+                groupBy: undefined,
+                range: comparisonRange
+            });
+            kpis = aggregation.compareKpis(kpis, aggregation.buildKpis(previous, { ...kpiOptions, range: comparisonRange }));
+        }
+
+        res.json({
+            success: true,
+            data: kpis,
+            labels: result.series.map(item => item.date),
+            blueprint: blueprint,
+            range: range,
+            ...(comparisonRange && { comparison: { mode: compare, range: comparisonRange } }),
+            ...(chartQuery.filter && {
+                filter: chartQuery.filter,
+                filterDescription: filterExpression.describe(chartQuery.filter)
+            }),
+            metric: {
+                ...definition,
+                description: metricDefinitions.describe(definition)
+            }
+        });
+
+        } catch (error) {
+            console.error('Error building KPIs:', error);
+            
+            if (error.response) {
+                // Port API error - pass through the detailed error
+                const portError = error.response.data;
+                res.status(error.response.status).json({
+                    error: portError.error || 'Port API Error',
+                    message: portError.message || error.message,
+                    status: error.response.status,
+                    details: portError.details || null
+                });
+            } else {
+                // Internal error
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message
+                });
+            }
+        }
+});
+
+// GET /api/port/chart/drilldown - Entities in one bucket of the chart (date=<bucket label>, optional group=<series key>)
+router.get('/chart/drilldown', async (req, res) => {
+    try {
+        const { date, group } = req.query;
+        if (!date) {
+            return res.status(400).json({
+                error: 'Missing date',
+                message: 'date (a bucket label from /chart, e.g. 2024-05-01) is required'
+            });
+        }
+
+        const chartQuery = parseChartQuery(req.query);
+        if (chartQuery.invalid) {
+            return res.status(400).json(chartQuery.invalid);
+        }
+
+        // The comparison period and anomaly flags have no part in the drill-down
+        const { body, entities } = await buildChart({
+            ...chartQuery,
+            comparisonRange: undefined,
+            chartOptions: { ...chartQuery.chartOptions, anomalies: 'none' }
+        });
+        const { definition, bucket, timezone, chartOptions } = chartQuery;
+        const bucketEntities = aggregation.getBucketEntities(entities, {
+            date,
+            group,
+            groupBy: chartQuery.groupBy,
+            topN: chartOptions.topN,
+            includeOther: chartOptions.includeOther,
+            bucketSize: bucket,
+            timeZone: timezone,
+            definition
+        });
+
+        const { rows, hours, fences } = toDrillDownRows(bucketEntities, chartQuery);
+
+        res.json({
+            success: true,
+            data: rows,
+            count: rows.length,
+            date: date,
+            ...(group !== undefined && { group: group }),
+            statistics: aggregation.computeStatistics(hours),
+            outlierFences: fences,
+            blueprint: body.blueprint,
+            ...(body.filter && { filter: body.filter, filterDescription: body.filterDescription }),
+            metric: body.metric
+        });
+
+        } catch (error) {
+            console.error('Error building drill-down:', error);
+            
+            if (error.response) {
+                // Port API error - pass through the detailed error
+                const portError = error.response.data;
+                res.status(error.response.status).json({
+                    error: portError.error || 'Port API Error',
+                    message: portError.message || error.message,
+                    status: error.response.status,
+                    details: portError.details || null
+                });
+            } else {
+                // Internal error
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message
+                });
+            }
+        }
+});
+
+// POST /api/port/cache/invalidate - Drop cached entities (one blueprint or all)
+router.post('/cache/invalidate', authService.requireRole('admin'), (req, res) => {
+    try {
+        const blueprint = req.body.blueprint || req.query.blueprint;
+        const removed = portService.invalidateCache(blueprint);
+
+        res.json({
+            success: true,
+            message: blueprint ? `Cache invalidated for ${blueprint}` : 'Cache invalidated',
+            removed: removed,
+            data: portService.getCacheStats()
+        });
+
+    } catch (error) {
+        console.error('Error invalidating cache:', error);
+        res.status(500).json({
+            error: 'Cache Error',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+
+// GET /api/session - The signed-in user (or null) and how to sign in
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: authService.getUser(req),
+            mode: authService.mode
+        });
+
+    } catch (error) {
+        console.error('Error getting session:', error);
+        res.status(500).json({
+            error: 'Session Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/session/login - Sign in with a local user ({ username, password })
+router.post('/login', (req, res) => {
+    try {
+        if (authService.mode !== 'local') {
+            return res.status(400).json({
+                error: 'Password login disabled',
+                message: `Password login is not available with AUTH_MODE=${authService.mode}`
+            });
+        }
+
+        const { username, password } = req.body || {};
+        const user = authService.authenticateLocal(username, password);
+        if (!user) {
+            console.warn(`🔒 Failed login for ${username}`);
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                message: 'Wrong username or password'
+            });
+        }
+
+        authService.createSession(res, user);
+        console.log(`🔓 ${user.username} signed in (${user.role})`);
+
+        res.json({
+            success: true,
+            data: { ...user, anonymous: false }
+        });
+
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({
+            error: 'Session Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/session/logout - End the current session
+router.post('/logout', (req, res) => {
+    try {
+        authService.destroySession(req, res);
+
+        res.json({
+            success: true,
+            message: 'Signed out'
+        });
+
+    } catch (error) {
+        console.error('Error signing out:', error);
+        res.status(500).json({
+            error: 'Session Error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/session/oidc/login - Redirect to the identity provider (?returnTo=/path after login)
+router.get('/oidc/login', async (req, res) => {
+    try {
+        if (authService.mode !== 'oidc') {
+            return res.status(400).json({
+                error: 'OIDC login disabled',
+                message: `OIDC login is not available with AUTH_MODE=${authService.mode}`
+            });
+        }
+
+        res.redirect(await authService.getAuthorizationURL(req.query.returnTo));
+
+    } catch (error) {
+        console.error('Error starting OIDC login:', error);
+        res.status(502).json({
+            error: 'Identity Provider Error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/session/oidc/callback - Where the identity provider sends the user back
+router.get('/oidc/callback', async (req, res) => {
+    try {
+        const { code, state, error, error_description: description } = req.query;
+        if (error) {
+            return res.status(401).json({
+                error: 'Login rejected',
+                message: description || error
+            });
+        }
+
+        let login;
+        try {
+            login = await authService.completeOidcLogin({ code, state });
+        } catch (loginError) {
+            console.warn('🔒 OIDC login failed:', loginError.message);
+            return res.status(401).json({
+                error: 'Login failed',
+                message: loginError.message
+            });
+        }
+
+        authService.createSession(res, login.user);
+        console.log(`🔓 ${login.user.username} signed in via OIDC (${login.user.role})`);
+        res.redirect(login.returnTo);
+
+    } catch (error) {
+        console.error('Error completing OIDC login:', error);
+        res.status(500).json({
+            error: 'Session Error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
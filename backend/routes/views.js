@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const viewStore = require('../services/viewStore');
+
+// The default view is what everyone opens, so only admins may change it - directly, by
+// editing or deleting the view that is the default, or by naming a view after PORT_DEFAULT_VIEW
+function rejectDefaultChange(req, res, { id, name, isDefault }) {
+    const changesDefault = isDefault || (id && id === viewStore.getDefaultId()) || viewStore.isDefaultName(name);
+    if (!changesDefault || authService.hasRole(req.user, 'admin')) {
+        return false;
+    }
+
+    res.status(403).json({
+        error: 'Forbidden',
+        message: 'Changing the default view requires the admin role'
+    });
+    return true;
+}
+
+// GET /api/views - List saved views
+router.get('/', (req, res) => {
+    try {
+        const views = viewStore.list();
+
+        res.json({
+            success: true,
+            data: views,
+            count: views.length,
+            defaultViewId: viewStore.getDefaultId()
+        });
+
+    } catch (error) {
+        console.error('Error listing views:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/views/:id - Get one saved view
+router.get('/:id', (req, res) => {
+    try {
+        const view = viewStore.get(req.params.id);
+        if (!view) {
+            return res.status(404).json({
+                error: 'View not found',
+                message: `No saved view with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: view,
+            isDefault: view.id === viewStore.getDefaultId()
+        });
+
+    } catch (error) {
+        console.error('Error getting view:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/views - Save a new view ({ name, state, isDefault })
+router.post('/', (req, res) => {
+    try {
+        const { name, state, isDefault } = req.body;
+        if (rejectDefaultChange(req, res, { name, isDefault })) {
+            return;
+        }
+
+        let view;
+        try {
+            view = viewStore.create({ name, state });
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid view',
+                message: validationError.message
+            });
+        }
+
+        if (isDefault) {
+            viewStore.setDefault(view.id);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: view,
+            defaultViewId: viewStore.getDefaultId()
+        });
+
+    } catch (error) {
+        console.error('Error saving view:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/views/:id - Rename a view and/or replace its state (the default view only by admins)
+router.put('/:id', (req, res) => {
+    try {
+        const { name, state } = req.body;
+        if (rejectDefaultChange(req, res, { id: req.params.id, name })) {
+            return;
+        }
+
+        let view;
+        try {
+            view = viewStore.update(req.params.id, { name, state });
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid view',
+                message: validationError.message
+            });
+        }
+
+        if (!view) {
+            return res.status(404).json({
+                error: 'View not found',
+                message: `No saved view with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: view
+        });
+
+    } catch (error) {
+        console.error('Error updating view:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/views/:id - Delete a view (the default view only by admins)
+router.delete('/:id', (req, res) => {
+    try {
+        if (rejectDefaultChange(req, res, { id: req.params.id })) {
+            return;
+        }
+
+        if (!viewStore.remove(req.params.id)) {
+            return res.status(404).json({
+                error: 'View not found',
+                message: `No saved view with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'View deleted',
+            defaultViewId: viewStore.getDefaultId()
+        });
+
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/views/:id/default - Make a view the default for this deployment
+// DELETE /api/views/:id/default - Clear the default
+router.put('/:id/default', authService.requireRole('admin'), (req, res) => {
+    try {
+        if (!viewStore.setDefault(req.params.id)) {
+            return res.status(404).json({
+                error: 'View not found',
+                message: `No saved view with id ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            defaultViewId: viewStore.getDefaultId()
+        });
+
+    } catch (error) {
+        console.error('Error setting default view:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+router.delete('/:id/default', authService.requireRole('admin'), (req, res) => {
+    try {
+        if (viewStore.getDefaultId() === req.params.id) {
+            viewStore.setDefault(null);
+        }
+
+        res.json({
+            success: true,
+            defaultViewId: viewStore.getDefaultId()
+        });
+
+    } catch (error) {
+        console.error('Error clearing default view:', error);
+        res.status(500).json({
+            error: 'Views Error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
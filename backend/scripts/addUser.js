@@ -0,0 +1,42 @@
+// Adds a dashboard user to AUTH_USERS_FILE (AUTH_MODE=local), or resets the password and role of an existing one.
+//
+//   npm run add-user -- alice admin
+//   npm run add-user -- bob viewer
+//
+// The password is read from the prompt, or from AUTH_NEW_PASSWORD for scripted setups.
+require('dotenv').config();
+const readline = require('readline');
+const authService = require('../services/authService');
+
+const [username, role = 'viewer'] = process.argv.slice(2);
+
+function readPassword() {
+    if (process.env.AUTH_NEW_PASSWORD) {
+        return Promise.resolve(process.env.AUTH_NEW_PASSWORD);
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        prompt.question(`Password for ${username}: `, password => {
+            prompt.close();
+            resolve(password);
+        });
+    });
+}
+
+async function main() {
+    if (!username) {
+        console.error('Usage: npm run add-user -- <username> [viewer|admin]');
+        process.exit(1);
+    }
+
+    try {
+        authService.setUser(username, await readPassword(), role);
+        console.log(`✅ Saved ${username} (${role}) to ${authService.usersFilePath}`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,171 @@
+// Local stand-in for the Port API, for testing retries, rate limits and the circuit breaker without a Port org.
+// Serves client-credential tokens, blueprints and generated pull request entities (paged, with search rules),
+// and misbehaves on request:
+//   FAKE_PORT_FAILURE_RATE=0.3      - share of requests answered with a 503
+//   FAKE_PORT_RATE_LIMIT=10         - requests per second before answering 429 with Retry-After
+//   FAKE_PORT_LATENCY_MS=200        - delay before every response
+//   FAKE_PORT_DOWN=true             - answer every request with a 503
+// The same settings can be changed while it runs: POST /_fake/config {"down": true, "failureRate": 0.5, ...}
+//
+//   npm run fake-port
+//   PORT_API_BASE_URL=http://localhost:9200 PORT_CLIENT_ID=fake PORT_CLIENT_SECRET=fake npm start
+const http = require('http');
+
+const PORT = process.env.FAKE_PORT_PORT || 9200;
+const ENTITY_COUNT = parseInt(process.env.FAKE_PORT_ENTITIES) || 300;
+const TOKEN_LIFETIME = parseInt(process.env.FAKE_PORT_TOKEN_SECONDS) || 10800;
+
+const config = {
+    failureRate: parseFloat(process.env.FAKE_PORT_FAILURE_RATE) || 0,
+    rateLimit: parseInt(process.env.FAKE_PORT_RATE_LIMIT) || 0,
+    latencyMs: parseInt(process.env.FAKE_PORT_LATENCY_MS) || 0,
+    down: process.env.FAKE_PORT_DOWN === 'true'
+};
+const counts = { requests: 0, failed: 0, rateLimited: 0 };
+// Request times within the last second, for the rate limit
+let recentRequests = [];
+
+const repositories = ['api', 'web', 'infra', 'mobile', 'docs'];
+const blueprints = [
+    { identifier: 'github_pull_request', title: 'Pull Request' },
+    { identifier: 'service', title: 'Service' }
+];
+
+// Pull requests spread over the last 120 days; every fifth is still open (not reviewed, merged or closed).
+// The timestamps are also properties, as the github_pull_request metric presets read them from there.
+function generatePullRequests() {
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
+    return Array.from({ length: ENTITY_COUNT }, (value, index) => {
+        const createdAt = new Date(now - (index % 120) * day - (index % 24) * 60 * 60 * 1000);
+        const mergedAt = index % 5 === 0 ? null : new Date(createdAt.getTime() + ((index * 7) % 96 + 1) * 60 * 60 * 1000);
+        // Reviewed somewhere between opening and merging
+        const firstReviewAt = mergedAt ? new Date(createdAt.getTime() + (mergedAt - createdAt) * ((index % 4 + 1) / 5)) : null;
+        const repository = repositories[index % repositories.length];
+        return {
+            identifier: `pr-${index}`,
+            title: `Pull request ${index}`,
+            blueprint: 'github_pull_request',
+            createdAt: createdAt.toISOString(),
+            updatedAt: (mergedAt || createdAt).toISOString(),
+            properties: {
+                status: mergedAt ? 'merged' : 'open',
+                creator: `developer-${index % 6}`,
+                repository,
+                createdAt: createdAt.toISOString(),
+                firstReviewAt: firstReviewAt ? firstReviewAt.toISOString() : null,
+                mergedAt: mergedAt ? mergedAt.toISOString() : null,
+                closedAt: mergedAt ? mergedAt.toISOString() : null,
+                link: `https://github.com/example/${repository}/pull/${index}`
+            },
+            relations: { team: `team-${index % 3}` }
+        };
+    });
+}
+
+const entities = { github_pull_request: generatePullRequests(), service: [] };
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// `$createdAt` is an entity field, anything else a property
+function getRuleValue(entity, property) {
+    return property.startsWith('$') ? entity[property.substring(1)] : entity.properties[property];
+}
+
+// The subset of Port's search rules the dashboard sends: `=` and `between`
+function matchesRules(entity, { combinator = 'and', rules = [] } = {}) {
+    const results = rules.map(rule => {
+        const value = getRuleValue(entity, rule.property);
+        if (rule.operator === 'between') {
+            return value !== null && value !== undefined && value >= rule.value.from && value <= rule.value.to;
+        }
+        return String(value) === String(rule.value);
+    });
+    return combinator === 'or' ? results.some(Boolean) : results.every(Boolean);
+}
+
+function sendPage(res, list, limit, from) {
+    const start = parseInt(from) || 0;
+    const end = limit ? start + limit : list.length;
+    sendJson(res, 200, {
+        ok: true,
+        entities: list.slice(start, end),
+        next: end < list.length ? String(end) : null
+    });
+}
+
+// Misbehaviour first, then the API itself
+function handle(req, res, url, body) {
+    if (url.pathname === '/_fake/config') {
+        if (req.method === 'POST') {
+            Object.assign(config, JSON.parse(body || '{}'));
+            console.log('⚙️  Config:', JSON.stringify(config));
+        }
+        return sendJson(res, 200, { config, counts });
+    }
+
+    counts.requests++;
+    const now = Date.now();
+    recentRequests = recentRequests.filter(time => now - time < 1000);
+    recentRequests.push(now);
+
+    if (config.rateLimit && recentRequests.length > config.rateLimit) {
+        counts.rateLimited++;
+        return sendJson(res, 429, { ok: false, error: 'rate_limited', message: 'Too many requests' }, { 'Retry-After': '1' });
+    }
+    if (config.down || Math.random() < config.failureRate) {
+        counts.failed++;
+        return sendJson(res, 503, { ok: false, error: 'service_unavailable', message: 'Fake Port is unavailable' });
+    }
+
+    if (url.pathname === '/v1/auth/access_token' && req.method === 'POST') {
+        return sendJson(res, 200, { ok: true, accessToken: `fake-${now}`, expiresIn: TOKEN_LIFETIME, tokenType: 'Bearer' });
+    }
+    if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+        return sendJson(res, 401, { ok: false, error: 'unauthorized', message: 'Missing access token' });
+    }
+    if (url.pathname === '/v1/blueprints') {
+        return sendJson(res, 200, { ok: true, blueprints });
+    }
+
+    const match = url.pathname.match(/^\/v1\/blueprints\/([^/]+)\/entities(\/search)?$/);
+    if (!match) {
+        return sendJson(res, 404, { ok: false, error: 'not_found', message: `${req.method} ${url.pathname} is not faked` });
+    }
+    if (!entities[match[1]]) {
+        return sendJson(res, 404, { ok: false, error: 'blueprint_not_found', message: `Blueprint ${match[1]} was not found` });
+    }
+
+    if (match[2]) {
+        const search = JSON.parse(body || '{}');
+        const list = entities[match[1]].filter(entity => matchesRules(entity, search.query));
+        return sendPage(res, list, search.limit, search.from);
+    }
+    sendPage(res, entities[match[1]], parseInt(url.searchParams.get('limit')), url.searchParams.get('from'));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        console.log(`${new Date().toISOString()} - ${req.method} ${url.pathname}${url.search}`);
+        setTimeout(() => {
+            try {
+                handle(req, res, url, body);
+            } catch (error) {
+                sendJson(res, 400, { ok: false, error: 'bad_request', message: error.message });
+            }
+        }, config.latencyMs);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Fake Port API listening on http://localhost:${PORT} (${ENTITY_COUNT} pull requests)`);
+    console.log(`   Failure rate ${config.failureRate}, rate limit ${config.rateLimit || 'none'}/s, latency ${config.latencyMs}ms${config.down ? ', DOWN' : ''}`);
+});
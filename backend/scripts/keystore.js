@@ -0,0 +1,50 @@
+// Manages the encrypted keystore (SECRET_KEYSTORE_FILE, encrypted with SECRET_KEYSTORE_KEY) behind keystore: references.
+// A running server picks up changed entries without a restart.
+//
+//   npm run keystore -- set port_client_secret
+//   npm run keystore -- list
+//   npm run keystore -- delete port_client_secret
+//
+// The value is read from the prompt, or from KEYSTORE_VALUE for scripted setups.
+require('dotenv').config();
+const readline = require('readline');
+const secretStore = require('../services/secretStore');
+
+const [command, name] = process.argv.slice(2);
+
+function readValue() {
+    if (process.env.KEYSTORE_VALUE) {
+        return Promise.resolve(process.env.KEYSTORE_VALUE);
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        prompt.question(`Value for ${name}: `, value => {
+            prompt.close();
+            resolve(value.trim());
+        });
+    });
+}
+
+async function main() {
+    try {
+        if (command === 'set' && name) {
+            secretStore.setKeystoreSecret(name, await readValue());
+            console.log(`✅ Saved ${name} to ${secretStore.keystoreFilePath} - reference it as keystore:${name}`);
+        } else if (command === 'delete' && name) {
+            const deleted = secretStore.deleteKeystoreSecret(name);
+            console.log(deleted ? `🗑️  Deleted ${name}` : `⚠️  No entry named ${name}`);
+        } else if (command === 'list') {
+            const names = secretStore.listKeystoreSecrets();
+            console.log(names.length > 0 ? names.join('\n') : `No entries in ${secretStore.keystoreFilePath}`);
+        } else {
+            console.error('Usage: npm run keystore -- set <name> | delete <name> | list');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
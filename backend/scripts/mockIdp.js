@@ -0,0 +1,145 @@
+// Local OpenID Connect provider for testing AUTH_MODE=oidc without a real identity provider.
+// Serves discovery, an authorize page where you pick any username and role, the token endpoint and its signing key.
+// Keys are generated on every start, so restart the backend too if it cached the old ones.
+//
+//   npm run mock-idp
+//   AUTH_MODE=oidc OIDC_ISSUER=http://localhost:9100 OIDC_CLIENT_ID=port-pr-chart npm start
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_IDP_PORT || 9100;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'port-pr-chart';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued codes: code -> { claims, redirectURI, codeChallenge }
+const codes = new Map();
+
+function escape(value) {
+    return String(value || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function signIdToken(claims) {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+// GET shows the login form; the form POSTs back here and redirects to the client with a code
+function authorize(req, res, url, form) {
+    const params = form || url.searchParams;
+    if (params.get('client_id') !== CLIENT_ID) {
+        return sendJson(res, 400, { error: 'unauthorized_client', error_description: `Unknown client ${params.get('client_id')}` });
+    }
+
+    if (!form) {
+        const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+            .map(name => `<input type="hidden" name="${name}" value="${escape(params.get(name))}">`)
+            .join('');
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<!DOCTYPE html><html><body style="font-family: sans-serif">
+            <h2>🧪 Mock IdP login</h2>
+            <form method="post" action="/authorize">${hidden}
+                <p><label>Username <input name="username" value="alice@example.com"></label></p>
+                <p><label>Role <select name="role"><option>viewer</option><option>admin</option></select></label></p>
+                <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Deny</button></p>
+            </form></body></html>`);
+        return;
+    }
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('state', params.get('state') || '');
+    if (params.get('deny')) {
+        redirect.searchParams.set('error', 'access_denied');
+    } else {
+        const code = crypto.randomBytes(16).toString('base64url');
+        const username = params.get('username');
+        const now = Math.floor(Date.now() / 1000);
+        codes.set(code, {
+            redirectURI: params.get('redirect_uri'),
+            codeChallenge: params.get('code_challenge'),
+            claims: {
+                iss: ISSUER,
+                aud: CLIENT_ID,
+                sub: username,
+                email: username,
+                preferred_username: username,
+                roles: [params.get('role')],
+                nonce: params.get('nonce'),
+                iat: now,
+                exp: now + 300
+            }
+        });
+        redirect.searchParams.set('code', code);
+        console.log(`🔑 Issued a code for ${username} (${params.get('role')})`);
+    }
+
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+}
+
+function token(req, res, form) {
+    const issued = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (!issued || issued.redirectURI !== form.get('redirect_uri')) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (issued.codeChallenge && issued.codeChallenge !== challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: signIdToken(issued.claims)
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, ISSUER);
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        console.log(`${new Date().toISOString()} - ${req.method} ${url.pathname}`);
+        const form = req.method === 'POST' ? new URLSearchParams(body) : null;
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                jwks_uri: `${ISSUER}/jwks`,
+                response_types_supported: ['code'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+        if (url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+        }
+        if (url.pathname === '/authorize') {
+            return authorize(req, res, url, form);
+        }
+        if (url.pathname === '/token' && form) {
+            return token(req, res, form);
+        }
+        sendJson(res, 404, { error: 'not_found' });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mock IdP listening on ${ISSUER} (client_id ${CLIENT_ID})`);
+});
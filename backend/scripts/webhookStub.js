@@ -0,0 +1,34 @@
+// Local webhook receiver for testing alert notifications without Slack.
+// Logs every POSTed payload and answers 200 (or WEBHOOK_STUB_STATUS to test failures).
+//
+//   npm run webhook-stub
+//   ALERT_WEBHOOK_URL=http://localhost:9000/webhook npm start
+const http = require('http');
+
+const PORT = process.env.WEBHOOK_STUB_PORT || 9000;
+const STATUS = parseInt(process.env.WEBHOOK_STUB_STATUS) || 200;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        console.log(`\n📨 ${new Date().toISOString()} - ${req.method} ${req.url}`);
+        try {
+            const payload = JSON.parse(body);
+            // Slack shows `text`; the rest is the structured payload
+            console.log(payload.text || '(no text)');
+            console.log(JSON.stringify(payload, null, 2));
+        } catch (error) {
+            console.log(body || '(empty body)');
+        }
+
+        res.writeHead(STATUS, { 'Content-Type': 'text/plain' });
+        res.end(STATUS < 400 ? 'ok' : 'error');
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🪝 Webhook stub listening on http://localhost:${PORT} (responding ${STATUS})`);
+});
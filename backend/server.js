@@ -5,6 +5,16 @@ require('dotenv').config();
 
 const portRoutes = require('./routes/port');
 const authRoutes = require('./routes/auth');
+const viewRoutes = require('./routes/views');
+const historyRoutes = require('./routes/history');
+const alertRoutes = require('./routes/alerts');
+const sessionRoutes = require('./routes/session');
+const portService = require('./services/portService');
+const snapshotService = require('./services/snapshotService');
+const alertService = require('./services/alertService');
+const authService = require('./services/authService');
+const connections = require('./services/connections');
+const secretStore = require('./services/secretStore');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -12,20 +22,24 @@ const PORT = process.env.PORT || 8000;
 // Check environment variables on startup
 console.log('🚀 Starting Port PR Chart Backend...');
 console.log('📋 Environment Check:');
-console.log(`   PORT_API_TOKEN_PRIMARY: ${process.env.PORT_API_TOKEN_PRIMARY ? 'Set' : 'Not Set'}`);
-console.log(`   PORT_API_TOKEN_SECONDARY: ${process.env.PORT_API_TOKEN_SECONDARY ? 'Set' : 'Not Set'}`);
-console.log(`   PORT_SERVICE_TOKEN: ${process.env.PORT_SERVICE_TOKEN ? 'Set' : 'Not Set'}`);
-console.log(`   PORT_CLIENT_ID: ${process.env.PORT_CLIENT_ID ? 'Set' : 'Not Set'}`);
-console.log(`   PORT_CLIENT_SECRET: ${process.env.PORT_CLIENT_SECRET ? 'Set' : 'Not Set'}`);
+console.log(`   PORT_API_TOKEN_PRIMARY: ${secretStore.describe(process.env.PORT_API_TOKEN_PRIMARY)}`);
+console.log(`   PORT_API_TOKEN_SECONDARY: ${secretStore.describe(process.env.PORT_API_TOKEN_SECONDARY)}`);
+console.log(`   PORT_SERVICE_TOKEN: ${secretStore.describe(process.env.PORT_SERVICE_TOKEN)}`);
+console.log(`   PORT_CLIENT_ID: ${secretStore.describe(process.env.PORT_CLIENT_ID)}`);
+console.log(`   PORT_CLIENT_SECRET: ${secretStore.describe(process.env.PORT_CLIENT_SECRET)}`);
 console.log(`   PORT_API_REGION: ${process.env.PORT_API_REGION || 'us (default)'}`);
+console.log(`   PORT_CONNECTIONS_FILE: ${connections.filePath || 'Not Set'} (orgs: ${connections.getIds().join(', ')})`);
 
-if (!process.env.PORT_API_TOKEN_PRIMARY && !process.env.PORT_CLIENT_ID) {
+if (!connections.hasCredentials()) {
     console.error('❌ ERROR: No authentication method configured!');
     console.error('   Option 1 - Set API token: export PORT_API_TOKEN_PRIMARY="your_token_here"');
     console.error('   Option 2 - Set client credentials: export PORT_CLIENT_ID="your_id" PORT_CLIENT_SECRET="your_secret"');
+    console.error('   Option 3 - List Port orgs with their credentials in PORT_CONNECTIONS_FILE');
     process.exit(1);
 }
 
+authService.logConfiguration();
+
 // Middleware
 app.use(cors({
     origin: ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:8001'],
@@ -40,16 +54,27 @@ app.use((req, res, next) => {
     next();
 });
 
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/port', portRoutes);
+// API Routes - every route needs a signed-in viewer; admin-only routes check the role themselves
+app.use('/api/session', sessionRoutes);
+app.use('/api/auth', authService.requireRole('viewer'), authRoutes);
+app.use('/api/port', authService.requireRole('viewer'), portRoutes);
+app.use('/api/views', authService.requireRole('viewer'), viewRoutes);
+app.use('/api/history', authService.requireRole('viewer'), historyRoutes);
+app.use('/api/alerts', authService.requireRole('viewer'), alertRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
         status: 'OK', 
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version: '1.0.0',
+        orgs: connections.getIds(),
+        cache: portService.getCacheStats(),
+        portApi: portService.getApiStats(),
+        snapshots: snapshotService.getStatus(),
+        alerts: alertService.getStatus(),
+        auth: authService.getStatus(),
+        secrets: secretStore.getStatus()
     });
 });
 
@@ -74,4 +99,6 @@ app.listen(PORT, () => {
     console.log(`🚀 Backend server running on port ${PORT}`);
     console.log(`📊 API endpoints available at http://localhost:${PORT}/api`);
     console.log(`🌐 Frontend served at http://localhost:${PORT}`);
+    snapshotService.start();
+    alertService.start();
 });
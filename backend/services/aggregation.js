@@ -0,0 +1,921 @@
+const filterExpression = require('./filterExpression');
+const timeZones = require('./timeZones');
+const entityProperties = require('./entityProperties');
+
+// Shared chart aggregation - the single place where entities become chart series
+class Aggregation {
+    constructor() {
+        this.bucketSizes = ['day', 'week', 'month', 'quarter'];
+        this.statistics = [
+            'median',
+            'average',
+            'p50',
+            'p75',
+            'p90',
+            'p95',
+            'p99',
+            'min',
+            'max',
+            'stddev',
+            'trimmedMean',
+            'rollingMedian7',
+            'rollingMedian28',
+            'count',
+            'sum'
+        ];
+        // Share of values dropped from each end for trimmedMean
+        this.trimFraction = 0.1;
+        // Trailing window (days) of the rolling statistics
+        this.rollingWindows = { rollingMedian7: 7, rollingMedian28: 28 };
+        this.comparisonModes = ['previous', 'lastYear'];
+        this.distributions = ['none', 'histogram', 'boxplot'];
+        this.histogramScales = ['linear', 'log'];
+        // Anomaly detection: flag at |score| >= sensitivity, against the `anomalyWindow` buckets before each one
+        this.anomalyMethods = ['none', 'mad', 'zscore'];
+        this.anomalySensitivity = { mad: 3.5, zscore: 3 };
+        this.anomalyWindow = 7;
+        this.minAnomalyBaseline = 3;
+        this.defaultDefinition = { start: 'createdAt', end: 'updatedAt', open: 'exclude' };
+        this.noneGroup = '(none)';
+        this.otherGroup = 'Other';
+    }
+
+    getPropertyValue(entity, propertyPath) {
+        return entityProperties.get(entity, propertyPath);
+    }
+
+    // Resolve the selected range into { start, end } instants (either may be null for open-ended).
+    // A custom startDate/endDate ("YYYY-MM-DD", whole days in timeZone) takes precedence over
+    // timeRange, which means the last N days.
+    getDateRange({ timeRange, startDate, endDate, timeZone = 'UTC' } = {}) {
+        if (startDate || endDate) {
+            const range = {
+                start: startDate ? timeZones.parseDate(startDate, timeZone) : null,
+                end: null
+            };
+
+            if (endDate) {
+                const end = timeZones.parseDate(endDate, timeZone);
+                // A day-only end date is inclusive - the range ends just before the following midnight
+                range.end = timeZones.isDay(endDate)
+                    ? new Date(this.addLocalDays(end, 1, timeZone).getTime() - 1)
+                    : end;
+            }
+
+            if (range.start && range.end && range.start > range.end) {
+                throw new Error('startDate must not be after endDate');
+            }
+
+            return range;
+        }
+
+        const days = parseInt(timeRange);
+        if (isNaN(days)) {
+            return { start: null, end: null };
+        }
+
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+        return { start: cutoffDate, end: new Date() };
+    }
+
+    // Range to compare against: the equally long period right before `range`,
+    // or the same calendar dates one year earlier
+    getComparisonRange(range, mode = 'previous', timeZone = 'UTC') {
+        if (!range.start || !range.end) {
+            throw new Error('Comparison needs a time range with a start and an end');
+        }
+
+        if (mode === 'lastYear') {
+            return {
+                start: this.addLocalYears(range.start, -1, timeZone),
+                end: this.addLocalYears(range.end, -1, timeZone)
+            };
+        }
+
+        const duration = range.end - range.start;
+        return {
+            start: new Date(range.start.getTime() - duration - 1),
+            end: new Date(range.start.getTime() - 1)
+        };
+    }
+
+    addLocalYears(date, years, timeZone) {
+        const localDate = timeZones.toLocalDate(date, timeZone);
+        localDate.setUTCFullYear(localDate.getUTCFullYear() + years);
+        return timeZones.fromLocalDate(localDate, timeZone);
+    }
+
+    addLocalDays(date, days, timeZone) {
+        const localDate = timeZones.toLocalDate(date, timeZone);
+        localDate.setUTCDate(localDate.getUTCDate() + days);
+        return timeZones.fromLocalDate(localDate, timeZone);
+    }
+
+    filterByDateRange(entities, range, dateProperty = 'createdAt') {
+        if (!range.start && !range.end) {
+            return entities;
+        }
+
+        return entities.filter(entity => {
+            const date = this.getDateValue(entity, dateProperty);
+            return date !== null &&
+                (!range.start || date >= range.start) &&
+                (!range.end || date <= range.end);
+        });
+    }
+
+    filterByProperty(entities, jsonProperty = 'default', propertyValue = 'all') {
+        if (jsonProperty === 'default' || propertyValue === 'all') {
+            return entities;
+        }
+
+        return entities.filter(entity => {
+            const value = this.getPropertyValue(entity, jsonProperty);
+            return String(value) === propertyValue;
+        });
+    }
+
+    // Returns the bucket label a date falls into, using the calendar of timeZone
+    getBucketKey(date, bucketSize = 'day', timeZone = 'UTC') {
+        return this.getBucketStart(timeZones.toLocalDate(date, timeZone), bucketSize).label;
+    }
+
+    // First local day of the bucket containing localDate, and the bucket's label
+    getBucketStart(localDate, bucketSize) {
+        const start = new Date(Date.UTC(localDate.getUTCFullYear(), localDate.getUTCMonth(), localDate.getUTCDate()));
+
+        if (bucketSize === 'week') {
+            // Weeks start on Monday
+            start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+        } else if (bucketSize === 'month') {
+            start.setUTCDate(1);
+        } else if (bucketSize === 'quarter') {
+            start.setUTCDate(1);
+            start.setUTCMonth(start.getUTCMonth() - start.getUTCMonth() % 3);
+        }
+
+        const day = start.toISOString().split('T')[0];
+        let label = day;
+        if (bucketSize === 'month') {
+            label = day.substring(0, 7);
+        } else if (bucketSize === 'quarter') {
+            label = `${start.getUTCFullYear()}-Q${start.getUTCMonth() / 3 + 1}`;
+        }
+
+        return { start, label };
+    }
+
+    // Every bucket label from the bucket containing start to the one containing end
+    getBucketLabels(start, end, bucketSize = 'day', timeZone = 'UTC') {
+        const labels = [];
+        const last = this.getBucketStart(timeZones.toLocalDate(end, timeZone), bucketSize).start;
+        let current = this.getBucketStart(timeZones.toLocalDate(start, timeZone), bucketSize).start;
+
+        while (current <= last) {
+            labels.push(this.getBucketStart(current, bucketSize).label);
+            current = this.getNextBucketStart(current, bucketSize);
+        }
+
+        return labels;
+    }
+
+    // Local start of the bucket after the one starting at localStart
+    getNextBucketStart(localStart, bucketSize) {
+        const next = new Date(localStart);
+
+        if (bucketSize === 'week') {
+            next.setUTCDate(next.getUTCDate() + 7);
+        } else if (bucketSize === 'month') {
+            next.setUTCMonth(next.getUTCMonth() + 1);
+        } else if (bucketSize === 'quarter') {
+            next.setUTCMonth(next.getUTCMonth() + 3);
+        } else {
+            next.setUTCDate(next.getUTCDate() + 1);
+        }
+
+        return next;
+    }
+
+    // Local start of a bucket from its label (YYYY-MM-DD, YYYY-MM or YYYY-Qn)
+    parseBucketLabel(label) {
+        const [year, part, day] = label.split('-');
+
+        if (part.startsWith('Q')) {
+            return new Date(Date.UTC(parseInt(year), (parseInt(part.substring(1)) - 1) * 3, 1));
+        }
+
+        return new Date(Date.UTC(parseInt(year), parseInt(part) - 1, day ? parseInt(day) : 1));
+    }
+
+    // Date stored at propertyPath, or null when missing or unparseable
+    getDateValue(entity, propertyPath) {
+        const value = this.getPropertyValue(entity, propertyPath);
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    // Hours between the definition's start and end timestamps.
+    // Returns null for entities that should be left out of the chart.
+    getEntityHours(entity, definition = this.defaultDefinition) {
+        const start = this.getDateValue(entity, definition.start);
+        if (!start) {
+            return null;
+        }
+
+        let end = this.getDateValue(entity, definition.end);
+        if (!end) {
+            if (definition.open !== 'open') {
+                return null;
+            }
+            // Still open - measure up to now
+            end = new Date();
+        }
+
+        return Math.abs(end - start) / (1000 * 60 * 60);
+    }
+
+    // Statistics may also be any other percentile written as pNN (e.g. p80, p99.9)
+    isValidStatistic(statistic) {
+        return this.statistics.includes(statistic) || this.parsePercentile(statistic) !== null;
+    }
+
+    // Fraction for a "pNN" statistic, or null
+    parsePercentile(statistic) {
+        const match = /^p(\d{1,2}(\.\d+)?)$/.exec(statistic);
+        if (!match) {
+            return null;
+        }
+        const percent = parseFloat(match[1]);
+        return percent > 0 && percent < 100 ? percent / 100 : null;
+    }
+
+    isRollingStatistic(statistic) {
+        return statistic in this.rollingWindows;
+    }
+
+    // Unit of a statistic's values, as the chart labels them: count is a plain number, the rest hours
+    getUnit(statistic) {
+        return statistic === 'count' ? '' : 'h';
+    }
+
+    // A statistic's value for messages - whole entities for count, hours to one decimal otherwise
+    formatValue(value, statistic) {
+        return statistic === 'count' ? `${Math.round(value)}` : `${value.toFixed(1)}${this.getUnit(statistic)}`;
+    }
+
+    computeStatistics(hoursArray) {
+        const sortedHours = [...hoursArray].sort((a, b) => a - b);
+        const count = sortedHours.length;
+        const sum = sortedHours.reduce((total, hours) => total + hours, 0);
+        const stats = {
+            count: count,
+            sum: sum,
+            average: count === 0 ? 0 : sum / count,
+            median: 0,
+            p50: 0,
+            p75: 0,
+            p90: 0,
+            p95: 0,
+            p99: 0,
+            min: 0,
+            max: 0,
+            stddev: 0,
+            trimmedMean: 0
+        };
+
+        if (count === 0) {
+            return stats;
+        }
+
+        // Median (middle value)
+        if (count % 2 === 0) {
+            stats.median = (sortedHours[count / 2 - 1] + sortedHours[count / 2]) / 2;
+        } else {
+            stats.median = sortedHours[Math.floor(count / 2)];
+        }
+
+        // p50 (50th percentile) - same as median
+        stats.p50 = stats.median;
+
+        stats.p75 = this.percentile(sortedHours, 0.75);
+        stats.p90 = this.percentile(sortedHours, 0.9);
+        stats.p95 = this.percentile(sortedHours, 0.95);
+        stats.p99 = this.percentile(sortedHours, 0.99);
+        stats.min = sortedHours[0];
+        stats.max = sortedHours[count - 1];
+
+        // Sample standard deviation (n - 1); a single value has none
+        if (count > 1) {
+            const variance = sortedHours.reduce((total, hours) => total + Math.pow(hours - stats.average, 2), 0) / (count - 1);
+            stats.stddev = Math.sqrt(variance);
+        }
+
+        // Mean without the lowest and highest trimFraction of values
+        const trimCount = Math.floor(count * this.trimFraction);
+        const trimmed = sortedHours.slice(trimCount, count - trimCount);
+        stats.trimmedMean = trimmed.reduce((total, hours) => total + hours, 0) / trimmed.length;
+
+        return stats;
+    }
+
+    // Value of `statistic` for a bucket, including arbitrary pNN percentiles.
+    // Rolling statistics are filled in later by applyRollingStatistic.
+    getStatisticValue(stats, sortedHours, statistic) {
+        if (statistic in stats) {
+            return stats[statistic];
+        }
+
+        const fraction = this.parsePercentile(statistic);
+        if (fraction !== null) {
+            return sortedHours.length === 0 ? 0 : this.percentile(sortedHours, fraction);
+        }
+
+        return this.isRollingStatistic(statistic) ? null : stats.median;
+    }
+
+    // Box plot of one bucket: the box spans p25-p75, whiskers run from min to p95,
+    // and values beyond the Tukey fences (see getOutlierFences) are listed as outliers
+    computeBoxPlot(hoursArray) {
+        const sortedHours = [...hoursArray].sort((a, b) => a - b);
+        const fences = this.getOutlierFences(sortedHours);
+
+        return {
+            min: sortedHours[0],
+            p25: this.percentile(sortedHours, 0.25),
+            median: this.computeStatistics(sortedHours).median,
+            p75: this.percentile(sortedHours, 0.75),
+            p95: this.percentile(sortedHours, 0.95),
+            max: sortedHours[sortedHours.length - 1],
+            outliers: sortedHours.filter(hours => hours < fences.lower || hours > fences.upper)
+        };
+    }
+
+    // Counts of hours per bin. `scale: 'log'` spaces the bin edges logarithmically (for long tails);
+    // values below the first edge land in the first bin.
+    buildHistogram(hoursArray, { bins = 20, scale = 'linear' } = {}) {
+        if (hoursArray.length === 0) {
+            return { scale: scale, bins: [] };
+        }
+
+        // Ends of a sorted copy rather than Math.min(...hoursArray), which overflows the stack on large arrays
+        const sortedHours = hoursArray.slice().sort((a, b) => a - b);
+        const min = sortedHours[0];
+        const max = sortedHours[sortedHours.length - 1];
+        let edges;
+
+        if (scale === 'log') {
+            // Log edges need a positive start - use the smallest positive value (at least one minute)
+            const smallestPositive = sortedHours.find(hours => hours > 0);
+            const low = Math.max(smallestPositive ?? 1, 1 / 60);
+            const high = Math.max(max, low * 10);
+            const ratio = Math.pow(high / low, 1 / bins);
+            edges = Array.from({ length: bins + 1 }, (item, index) => low * Math.pow(ratio, index));
+            edges[0] = Math.min(low, min);
+            edges[bins] = high;
+        } else {
+            const width = (max - min) / bins || 1;
+            edges = Array.from({ length: bins + 1 }, (item, index) => min + width * index);
+        }
+
+        const counts = new Array(bins).fill(0);
+        hoursArray.forEach(hours => {
+            // Edges are [start, end) except for the last bin, which includes max
+            const next = edges.findIndex((edge, edgeIndex) => edgeIndex > 0 && hours < edge);
+            const index = next === -1 ? bins - 1 : next - 1;
+            counts[index]++;
+        });
+
+        return {
+            scale: scale,
+            bins: counts.map((count, index) => ({
+                start: edges[index],
+                end: edges[index + 1],
+                count: count
+            }))
+        };
+    }
+
+    // Percentile of an ascending array (fraction between 0 and 1), linearly interpolated
+    // between the two closest ranks: h = (n - 1) * fraction, value = x[floor(h)] + (h - floor(h)) * (x[floor(h) + 1] - x[floor(h)]).
+    // This is the "R-7" / Excel PERCENTILE.INC / NumPy default method, so p50 equals the median.
+    percentile(sortedValues, fraction) {
+        const position = (sortedValues.length - 1) * fraction;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sortedValues.length - 1);
+        return sortedValues[lower] + (position - lower) * (sortedValues[upper] - sortedValues[lower]);
+    }
+
+    // Headline deltas between two summaries; percentChange is null when there is nothing to compare to
+    compareSummaries(current, previous, keys = ['count', 'median', 'p95']) {
+        const deltas = {};
+        keys.forEach(key => {
+            const change = current[key] - previous[key];
+            deltas[key] = {
+                current: current[key],
+                previous: previous[key],
+                change: change,
+                percentChange: previous[key] ? (change / previous[key]) * 100 : null
+            };
+        });
+        return deltas;
+    }
+
+    // Group entities into buckets and compute every statistic per bucket
+    buildSeries(entities, options = {}) {
+        const {
+            statistic = 'median',
+            bucketSize = 'day',
+            timeZone = 'UTC',
+            definition = this.defaultDefinition,
+            boxPlot = false
+        } = options;
+
+        // Entities are bucketed by the definition's start timestamp
+        const groupedData = {};
+        entities.forEach(entity => {
+            const hours = this.getEntityHours(entity, definition);
+            if (hours === null) {
+                return;
+            }
+
+            const key = this.getBucketKey(this.getDateValue(entity, definition.start), bucketSize, timeZone);
+            if (!groupedData[key]) {
+                groupedData[key] = [];
+            }
+            groupedData[key].push(hours);
+        });
+
+        return Object.keys(groupedData).sort().map(date => {
+            const item = this.toSeriesItem(date, groupedData[date], statistic);
+            if (boxPlot) {
+                item.box = this.computeBoxPlot(groupedData[date]);
+            }
+            return item;
+        });
+    }
+
+    toSeriesItem(date, hoursArray, statistic = 'median') {
+        const sortedHours = [...hoursArray].sort((a, b) => a - b);
+        const stats = this.computeStatistics(sortedHours);
+        const value = this.getStatisticValue(stats, sortedHours, statistic);
+
+        return {
+            date: date,
+            hours: stats.sum,
+            count: stats.count,
+            avgHours: stats.average,
+            sum: stats.sum,
+            average: stats.average,
+            median: stats.median,
+            p50: stats.p50,
+            p75: stats.p75,
+            p90: stats.p90,
+            p95: stats.p95,
+            p99: stats.p99,
+            min: stats.min,
+            max: stats.max,
+            stddev: stats.stddev,
+            trimmedMean: stats.trimmedMean,
+            // Arbitrary percentiles (and rolling statistics, see applyRollingStatistic) get their own field too
+            ...(!(statistic in stats) && { [statistic]: value }),
+            // Use the selected statistic as the primary value
+            value: value
+        };
+    }
+
+    // Placeholder for a bucket a group has no entities in, so every group shares the same labels
+    emptySeriesItem(date) {
+        return {
+            date: date,
+            hours: 0,
+            count: 0,
+            avgHours: null,
+            sum: 0,
+            average: null,
+            median: null,
+            p50: null,
+            p75: null,
+            p90: null,
+            p95: null,
+            p99: null,
+            min: null,
+            max: null,
+            stddev: null,
+            trimmedMean: null,
+            value: null
+        };
+    }
+
+    // Buckets whose value stands out from the `window` buckets before them:
+    // mad - modified z-score 0.6745 * (value - median) / MAD, robust to earlier spikes (flag at 3.5)
+    // zscore - (value - mean) / standard deviation (flag at 3)
+    // Returns [{ date, value, score, direction: 'high' | 'low', baseline }] for the flagged buckets.
+    detectAnomalies(series, options = {}) {
+        const { method = 'mad', window = this.anomalyWindow } = options;
+        const sensitivity = options.sensitivity || this.anomalySensitivity[method];
+        const hasValue = value => value !== null && value !== undefined;
+        const anomalies = [];
+
+        series.forEach((item, index) => {
+            if (!hasValue(item.value)) {
+                return;
+            }
+
+            const baseline = series.slice(Math.max(index - window, 0), index)
+                .map(previous => previous.value)
+                .filter(hasValue);
+            if (baseline.length < this.minAnomalyBaseline) {
+                return;
+            }
+
+            const { center, score } = this.getAnomalyScore(item.value, baseline, method);
+            if (score === null || Math.abs(score) < sensitivity) {
+                return;
+            }
+
+            anomalies.push({
+                date: item.date,
+                value: item.value,
+                score: score,
+                direction: score > 0 ? 'high' : 'low',
+                baseline: center
+            });
+        });
+
+        return anomalies;
+    }
+
+    // Score of `value` against the baseline values; null when the baseline has no spread
+    getAnomalyScore(value, baseline, method) {
+        const sortedBaseline = [...baseline].sort((a, b) => a - b);
+
+        if (method === 'zscore') {
+            const stats = this.computeStatistics(sortedBaseline);
+            return {
+                center: stats.average,
+                score: stats.stddev > 0 ? (value - stats.average) / stats.stddev : null
+            };
+        }
+
+        const median = this.percentile(sortedBaseline, 0.5);
+        const deviations = sortedBaseline.map(item => Math.abs(item - median)).sort((a, b) => a - b);
+        const mad = this.percentile(deviations, 0.5);
+        if (mad > 0) {
+            return { center: median, score: 0.6745 * (value - median) / mad };
+        }
+
+        // Over half the baseline is identical - fall back to the mean absolute deviation
+        const meanDeviation = deviations.reduce((total, item) => total + item, 0) / deviations.length;
+        return {
+            center: median,
+            score: meanDeviation > 0 ? (value - median) / (1.253314 * meanDeviation) : null
+        };
+    }
+
+    // Moving median over the trailing window of days that ends with each bucket (7 or 28, see rollingWindows).
+    // Computed from the entities themselves, so empty buckets get a value too; windows only see the
+    // entities passed in, i.e. those inside the selected range.
+    applyRollingStatistic(series, entities, options = {}) {
+        const { statistic, bucketSize = 'day', timeZone = 'UTC', definition = this.defaultDefinition } = options;
+        const days = this.rollingWindows[statistic];
+
+        const points = entities
+            .map(entity => ({
+                hours: this.getEntityHours(entity, definition),
+                start: this.getDateValue(entity, definition.start)
+            }))
+            .filter(point => point.hours !== null)
+            .map(point => ({ hours: point.hours, localStart: timeZones.toLocalDate(point.start, timeZone) }));
+
+        series.forEach(item => {
+            const windowEnd = this.getNextBucketStart(this.parseBucketLabel(item.date), bucketSize);
+            const windowStart = new Date(windowEnd);
+            windowStart.setUTCDate(windowStart.getUTCDate() - days);
+
+            const hours = points
+                .filter(point => point.localStart >= windowStart && point.localStart < windowEnd)
+                .map(point => point.hours);
+            item[statistic] = hours.length > 0 ? this.computeStatistics(hours).median : null;
+            item.value = item[statistic];
+        });
+
+        return series;
+    }
+
+    // Group key(s) of an entity - array values put the entity in one group per element
+    getGroupKeys(entity, groupBy) {
+        const value = this.getPropertyValue(entity, groupBy);
+
+        if (Array.isArray(value)) {
+            return value.length > 0 ? value.map(item => String(item)) : [this.noneGroup];
+        }
+
+        return [value === null || value === undefined || value === '' ? this.noneGroup : String(value)];
+    }
+
+    // One series per distinct value of groupBy, largest groups first.
+    // Groups beyond topN are merged into a single "Other" series when includeOther is set.
+    buildGroupedSeries(entities, options = {}) {
+        const { groupBy, topN = 5, includeOther = true, labels = [], ...seriesOptions } = options;
+
+        return this.groupEntities(entities, { groupBy, topN, includeOther }).map(group => {
+            const seriesByDate = new Map(
+                this.buildSeries(group.entities, seriesOptions).map(item => [item.date, item])
+            );
+
+            const data = labels.map(date => seriesByDate.get(date) || this.emptySeriesItem(date));
+            if (this.isRollingStatistic(seriesOptions.statistic)) {
+                this.applyRollingStatistic(data, group.entities, seriesOptions);
+            }
+
+            return {
+                key: group.key,
+                isOther: Boolean(group.isOther),
+                entityCount: data.reduce((total, item) => total + item.count, 0),
+                data: data
+            };
+        });
+    }
+
+    // The groups behind buildGroupedSeries: [{ key, entities, isOther }]
+    groupEntities(entities, { groupBy, topN = 5, includeOther = true }) {
+        const entitiesByGroup = new Map();
+        entities.forEach(entity => {
+            this.getGroupKeys(entity, groupBy).forEach(key => {
+                if (!entitiesByGroup.has(key)) {
+                    entitiesByGroup.set(key, []);
+                }
+                entitiesByGroup.get(key).push(entity);
+            });
+        });
+
+        const groups = Array.from(entitiesByGroup.entries())
+            .map(([key, groupEntities]) => ({ key, entities: groupEntities }))
+            .sort((a, b) => b.entities.length - a.entities.length || a.key.localeCompare(b.key));
+
+        const topGroups = groups.slice(0, topN);
+        const otherEntities = groups.slice(topN).flatMap(group => group.entities);
+        if (includeOther && otherEntities.length > 0) {
+            topGroups.push({ key: this.otherGroup, entities: otherEntities, isOther: true });
+        }
+
+        return topGroups;
+    }
+
+    // Entities that make up one bucket of the chart (optionally of one group-by series)
+    getBucketEntities(entities, options = {}) {
+        const {
+            date,
+            group,
+            groupBy,
+            topN,
+            includeOther,
+            bucketSize = 'day',
+            timeZone = 'UTC',
+            definition = this.defaultDefinition
+        } = options;
+
+        let candidates = entities;
+        if (groupBy && group !== undefined) {
+            const match = this.groupEntities(entities, { groupBy, topN, includeOther }).find(item => item.key === group);
+            candidates = match ? match.entities : [];
+        }
+
+        return candidates.filter(entity => {
+            if (this.getEntityHours(entity, definition) === null) {
+                return false;
+            }
+            const start = this.getDateValue(entity, definition.start);
+            return this.getBucketKey(start, bucketSize, timeZone) === date;
+        });
+    }
+
+    // Tukey fences (1.5 x IQR beyond the quartiles); values outside are outliers
+    getOutlierFences(hoursArray) {
+        const sortedHours = [...hoursArray].sort((a, b) => a - b);
+        if (sortedHours.length === 0) {
+            return { lower: null, upper: null };
+        }
+
+        const q1 = this.percentile(sortedHours, 0.25);
+        const q3 = this.percentile(sortedHours, 0.75);
+        const iqr = q3 - q1;
+        return { lower: q1 - 1.5 * iqr, upper: q3 + 1.5 * iqr };
+    }
+
+    // First non-empty value among several candidate property paths
+    getFirstValue(entity, propertyPaths = []) {
+        for (const propertyPath of propertyPaths) {
+            const value = this.getPropertyValue(entity, propertyPath);
+            if (value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    // Flat per-entity rows: identifier, title, bucket, the metric's timestamps and hours (null when excluded)
+    toEntityRows(entities, options = {}) {
+        const { definition = this.defaultDefinition, bucketSize = 'day', timeZone = 'UTC' } = options;
+
+        return entities.map(entity => {
+            const start = this.getDateValue(entity, definition.start);
+            const end = this.getDateValue(entity, definition.end);
+
+            return {
+                identifier: entity.identifier,
+                // Set on entities of combined orgs
+                ...(entity.org && { org: entity.org }),
+                title: entity.title || null,
+                bucket: start ? this.getBucketKey(start, bucketSize, timeZone) : null,
+                start: start ? start.toISOString() : null,
+                end: end ? end.toISOString() : null,
+                hours: this.getEntityHours(entity, definition),
+                properties: entity.properties || {}
+            };
+        });
+    }
+
+    // Headline numbers for a processEntitiesForChart result, each with a per-bucket sparkline
+    // on the chart's own buckets: { total, median, p95, throughput, open, completed }
+    buildKpis(result, options = {}) {
+        const { range = {}, bucketSize = 'day', timeZone = 'UTC', definition = this.defaultDefinition } = options;
+        const labels = result.series.map(item => item.date);
+        const openByBucket = new Map(labels.map(date => [date, 0]));
+        const completedByBucket = new Map(labels.map(date => [date, 0]));
+
+        let openCount = 0;
+        result.entities.forEach(entity => {
+            const start = this.getDateValue(entity, definition.start);
+            const isOpen = !this.getDateValue(entity, definition.end);
+            if (isOpen) {
+                openCount++;
+            }
+
+            const buckets = isOpen ? openByBucket : completedByBucket;
+            const key = start ? this.getBucketKey(start, bucketSize, timeZone) : null;
+            if (buckets.has(key)) {
+                buckets.set(key, buckets.get(key) + 1);
+            }
+        });
+
+        const completedCount = result.entities.length - openCount;
+        const first = range.start || this.getEarliestStart(result.entities, definition);
+        const weeks = first ? Math.max(((range.end || new Date()) - first) / (7 * 24 * 60 * 60 * 1000), 1 / 7) : null;
+
+        return {
+            total: {
+                value: result.entities.length,
+                sparkline: labels.map(date => openByBucket.get(date) + completedByBucket.get(date))
+            },
+            median: {
+                value: result.summary.count > 0 ? result.summary.median : null,
+                sparkline: result.series.map(item => item.median)
+            },
+            p95: {
+                value: result.summary.count > 0 ? result.summary.p95 : null,
+                sparkline: result.series.map(item => item.p95)
+            },
+            throughput: {
+                // Completed entities (with an end timestamp) per week of the range
+                value: weeks ? completedCount / weeks : null,
+                sparkline: labels.map(date => completedByBucket.get(date))
+            },
+            open: {
+                value: openCount,
+                sparkline: labels.map(date => openByBucket.get(date))
+            },
+            completed: {
+                value: completedCount,
+                sparkline: labels.map(date => completedByBucket.get(date))
+            }
+        };
+    }
+
+    // Attach previous values and changes (see compareSummaries) to each KPI
+    compareKpis(current, previous) {
+        const values = kpis => Object.fromEntries(Object.entries(kpis).map(([key, kpi]) => [key, kpi.value]));
+        const deltas = this.compareSummaries(values(current), values(previous), Object.keys(current));
+
+        return Object.fromEntries(Object.entries(current).map(([key, kpi]) => {
+            const { previous: previousValue, change, percentChange } = deltas[key];
+            const comparable = kpi.value !== null && previousValue !== null;
+            return [key, {
+                ...kpi,
+                previous: previousValue,
+                change: comparable ? change : null,
+                percentChange: comparable ? percentChange : null
+            }];
+        }));
+    }
+
+    // Earliest start timestamp among the entities that make it into the chart
+    getEarliestStart(entities, definition) {
+        return entities.reduce((earliest, entity) => {
+            if (this.getEntityHours(entity, definition) === null) {
+                return earliest;
+            }
+            const start = this.getDateValue(entity, definition.start);
+            return !earliest || start < earliest ? start : earliest;
+        }, null);
+    }
+
+    // Apply the dashboard filters and build the chart series in one go
+    processEntitiesForChart(entities, options = {}) {
+        const {
+            timeRange,
+            startDate,
+            endDate,
+            timeZone = 'UTC',
+            fillGaps = true,
+            jsonProperty = 'default',
+            propertyValue = 'all',
+            filter = null,
+            statistic = 'median',
+            bucketSize = 'day',
+            definition = this.defaultDefinition,
+            groupBy,
+            topN,
+            includeOther,
+            distribution = 'none',
+            bins = 20,
+            histogramScale = 'linear',
+            anomalies = 'none',
+            sensitivity,
+            anomalyWindow
+        } = options;
+
+        // An explicit `range` ({ start, end }) takes priority, e.g. for the comparison period
+        const range = options.range || this.getDateRange({ timeRange, startDate, endDate, timeZone });
+        let filteredEntities = this.filterByDateRange(entities, range, definition.start);
+        filteredEntities = this.filterByProperty(filteredEntities, jsonProperty, propertyValue);
+        filteredEntities = filterExpression.apply(filteredEntities, filter);
+
+        let series = this.buildSeries(filteredEntities, {
+            statistic,
+            bucketSize,
+            timeZone,
+            definition,
+            boxPlot: distribution === 'boxplot'
+        });
+        const entityCount = series.reduce((total, item) => total + item.count, 0);
+
+        // Fill buckets without entities so line charts show the gaps instead of skipping them
+        if (fillGaps && series.length > 0) {
+            const seriesByDate = new Map(series.map(item => [item.date, item]));
+            const first = range.start || this.getEarliestStart(filteredEntities, definition);
+            const labels = this.getBucketLabels(first, range.end || new Date(), bucketSize, timeZone);
+            series = labels.map(date => seriesByDate.get(date) || this.emptySeriesItem(date));
+        }
+
+        if (this.isRollingStatistic(statistic)) {
+            this.applyRollingStatistic(series, filteredEntities, { statistic, bucketSize, timeZone, definition });
+        }
+
+        const hours = filteredEntities
+            .map(entity => this.getEntityHours(entity, definition))
+            .filter(value => value !== null);
+
+        const result = {
+            entityCount: entityCount,
+            // Entities in range that have no end timestamp (or no start) and were left out
+            excludedCount: filteredEntities.length - entityCount,
+            // Statistics over the whole range, not per bucket
+            summary: this.computeStatistics(hours),
+            series: series,
+            // The entities behind the series (after the range and filters), for exports and drill-down
+            entities: filteredEntities
+        };
+
+        // Flags for the total series; the entities behind each flag are listed by the route
+        if (anomalies !== 'none') {
+            result.anomalies = this.detectAnomalies(series, { method: anomalies, sensitivity, window: anomalyWindow });
+        }
+
+        if (distribution === 'histogram') {
+            result.histogram = this.buildHistogram(hours, { bins, scale: histogramScale });
+        }
+
+        if (groupBy) {
+            result.groups = this.buildGroupedSeries(filteredEntities, {
+                groupBy,
+                topN,
+                includeOther,
+                labels: series.map(item => item.date),
+                statistic,
+                bucketSize,
+                timeZone,
+                definition
+            });
+        }
+
+        return result;
+    }
+}
+
+module.exports = new Aggregation();
@@ -0,0 +1,438 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const portService = require('./portService');
+const aggregation = require('./aggregation');
+const metricDefinitions = require('./metricDefinitions');
+const filterExpression = require('./filterExpression');
+const blueprintDefaults = require('./blueprintDefaults');
+const cronSchedule = require('./cronSchedule');
+const timeZones = require('./timeZones');
+const connections = require('./connections');
+
+// Threshold alert rules, evaluated on a cron schedule against the same aggregation as the chart.
+// Persisted in a local JSON file:
+// {
+//   rules: [{ id, name, org, blueprint, metric, start, end, open, statistic, filter, comparison, threshold,
+//             windowDays, enabled, createdAt, updatedAt, state: { status, value, evaluatedAt, since, error } }],
+//   history: [{ id, ruleId, ruleName, from, to, value, threshold, at, notification }]
+// }
+// A rule fires when the statistic over the last `windowDays` days is above (or below) the threshold;
+// firing and resolving are posted to ALERT_WEBHOOK_URL as a Slack-compatible message.
+class AlertService {
+    constructor() {
+        this.filePath = process.env.ALERTS_FILE || path.join(__dirname, '../data/alerts.json');
+        this.webhookURL = process.env.ALERT_WEBHOOK_URL || null;
+        this.scheduleExpression = process.env.ALERT_SCHEDULE || '*/15 * * * *';
+        this.timeZone = process.env.ALERT_TIMEZONE || 'UTC';
+        this.historyLimit = parseInt(process.env.ALERT_HISTORY_LIMIT) || 500;
+        this.comparisons = ['above', 'below'];
+        this.statuses = {
+            ok: '✅',
+            firing: '🔴',
+            noData: '⚪',
+            error: '⚠️'
+        };
+
+        this.schedule = null;
+        this.timer = null;
+        this.nextRun = null;
+        this.lastRun = null;
+        this.running = null;
+        this.data = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return { rules: [], history: [] };
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            console.log(`🔔 Loaded ${data.rules.length} alert rules from ${this.filePath}`);
+            return { rules: data.rules || [], history: data.history || [] };
+        } catch (error) {
+            console.error(`❌ Failed to load alert rules from ${this.filePath}:`, error.message);
+            return { rules: [], history: [] };
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written file behind
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Start the schedule; ALERT_SCHEDULE=off disables it (rules can still be evaluated on demand)
+    start() {
+        if (this.scheduleExpression === 'off') {
+            console.log('🔔 Scheduled alert evaluation disabled');
+            return;
+        }
+
+        if (!timeZones.isValid(this.timeZone)) {
+            console.error(`❌ Invalid ALERT_TIMEZONE "${this.timeZone}", scheduled alert evaluation disabled`);
+            return;
+        }
+
+        try {
+            this.schedule = cronSchedule.parse(this.scheduleExpression);
+        } catch (error) {
+            console.error('❌ Invalid ALERT_SCHEDULE, scheduled alert evaluation disabled:', error.message);
+            return;
+        }
+
+        console.log(`🔔 Alert rules evaluated "${this.scheduleExpression}" (${this.timeZone}), webhook ${this.webhookURL ? 'set' : 'not set'}`);
+        this.scheduleNext();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRun = null;
+    }
+
+    scheduleNext() {
+        this.nextRun = cronSchedule.getNextRun(this.schedule, new Date(), this.timeZone);
+        if (!this.nextRun) {
+            console.warn(`⚠️ Alert schedule "${this.scheduleExpression}" never runs`);
+            return;
+        }
+
+        // setTimeout cannot wait longer than ~24.8 days - re-check when the timer fires early
+        const delay = Math.min(this.nextRun.getTime() - Date.now(), 2 ** 31 - 1);
+        this.timer = setTimeout(async () => {
+            if (Date.now() >= this.nextRun.getTime()) {
+                try {
+                    await this.evaluateAll();
+                } catch (error) {
+                    console.error('❌ Scheduled alert evaluation failed:', error.message);
+                }
+            }
+            this.scheduleNext();
+        }, Math.max(delay, 0));
+        this.timer.unref();
+    }
+
+    list() {
+        return this.data.rules;
+    }
+
+    get(id) {
+        return this.data.rules.find(rule => rule.id === id) || null;
+    }
+
+    create(input) {
+        const now = new Date().toISOString();
+        const rule = {
+            id: crypto.randomUUID(),
+            ...this.normalize(input),
+            createdAt: now,
+            updatedAt: now,
+            // Not evaluated yet
+            state: { status: null, value: null, evaluatedAt: null, since: null, error: null }
+        };
+
+        this.data.rules.push(rule);
+        this.save();
+        return rule;
+    }
+
+    // Returns null when the rule does not exist; the state is kept until the next evaluation
+    update(id, changes) {
+        const rule = this.get(id);
+        if (!rule) {
+            return null;
+        }
+
+        const { id: ruleId, createdAt, updatedAt, state, ...current } = rule;
+        Object.assign(rule, this.normalize({ ...current, ...changes }), {
+            updatedAt: new Date().toISOString()
+        });
+
+        this.save();
+        return rule;
+    }
+
+    remove(id) {
+        const index = this.data.rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.data.rules.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    // Validate a rule and fill in defaults; throws when a field is rejected
+    normalize(input = {}) {
+        const {
+            name,
+            org,
+            blueprint = blueprintDefaults.defaultBlueprint,
+            metric = metricDefinitions.getDefaultId(blueprint),
+            start,
+            end,
+            open,
+            statistic = 'median',
+            filter = null,
+            comparison = 'above',
+            threshold,
+            windowDays = 7,
+            enabled = true
+        } = input;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('name is required');
+        }
+
+        // Throws for unknown orgs; `all` or a list of orgs evaluates the combined data
+        connections.resolve(org);
+
+        // Throws for unknown metrics or an incomplete custom metric
+        metricDefinitions.resolve({ blueprint, metric, start, end, open });
+
+        if (!aggregation.isValidStatistic(statistic) || aggregation.isRollingStatistic(statistic)) {
+            throw new Error('statistic must be a chart statistic or percentile (rolling statistics are not supported)');
+        }
+
+        if (!this.comparisons.includes(comparison)) {
+            throw new Error(`comparison must be one of: ${this.comparisons.join(', ')}`);
+        }
+
+        const thresholdValue = Number(threshold);
+        if (threshold === undefined || threshold === null || threshold === '' || !isFinite(thresholdValue)) {
+            throw new Error('threshold must be a number');
+        }
+
+        const days = Number(windowDays);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            throw new Error('windowDays must be a whole number of days between 1 and 365');
+        }
+
+        // org/start/end/open stay undefined (and drop out of the file) unless they apply
+        return {
+            name: name.trim(),
+            org: org || undefined,
+            blueprint,
+            metric,
+            start: metric === 'custom' ? start : undefined,
+            end: metric === 'custom' ? end : undefined,
+            open: open || undefined,
+            statistic,
+            filter: filterExpression.parse(filter),
+            comparison,
+            threshold: thresholdValue,
+            windowDays: days,
+            enabled: enabled !== false && enabled !== 'false'
+        };
+    }
+
+    // Statistic of a rule's metric over its window; null when no entity has a value
+    async computeValue(rule) {
+        const definition = metricDefinitions.resolve(rule);
+        const range = aggregation.getDateRange({ timeRange: String(rule.windowDays), timeZone: this.timeZone });
+        const entities = await portService.getEntities(rule.blueprint, {
+            rules: portService.buildSearchRules({
+                startDate: range.start,
+                endDate: range.end,
+                dateProperty: definition.start
+            }),
+            org: rule.org
+        });
+
+        const result = aggregation.processEntitiesForChart(entities, {
+            range,
+            timeZone: this.timeZone,
+            definition,
+            filter: rule.filter
+        });
+        if (result.summary.count === 0) {
+            return { value: null, entityCount: result.entityCount, range };
+        }
+
+        const sortedHours = result.entities
+            .map(entity => aggregation.getEntityHours(entity, definition))
+            .filter(hours => hours !== null)
+            .sort((a, b) => a - b);
+
+        return {
+            value: aggregation.getStatisticValue(result.summary, sortedHours, rule.statistic),
+            entityCount: result.entityCount,
+            range
+        };
+    }
+
+    isBreached(rule, value) {
+        return rule.comparison === 'above' ? value > rule.threshold : value < rule.threshold;
+    }
+
+    // Evaluate one rule, record state changes and notify on firing/resolving
+    async evaluate(rule) {
+        const evaluatedAt = new Date().toISOString();
+        let status;
+        let value = null;
+        let error = null;
+
+        try {
+            ({ value } = await this.computeValue(rule));
+            if (value === null) {
+                status = 'noData';
+            } else {
+                status = this.isBreached(rule, value) ? 'firing' : 'ok';
+            }
+        } catch (evaluationError) {
+            console.error(`❌ Alert "${rule.name}" evaluation failed:`, evaluationError.message);
+            status = 'error';
+            error = evaluationError.message;
+        }
+
+        const previous = rule.state || {};
+        // What this evaluation found; `status` is what the alert reports
+        const result = status;
+        // A firing alert only resolves once the metric is back within the threshold. While it cannot be
+        // evaluated (Port unavailable, no data in the window) it keeps firing with its last value.
+        if (previous.status === 'firing' && (status === 'error' || status === 'noData')) {
+            console.warn(`⚠️ Alert "${rule.name}" stays firing - evaluation gave ${status}`);
+            status = 'firing';
+            value = previous.value ?? null;
+        }
+
+        rule.state = {
+            status,
+            result,
+            value,
+            evaluatedAt,
+            since: previous.status === status && previous.since ? previous.since : evaluatedAt,
+            error
+        };
+
+        if (previous.status !== status) {
+            await this.recordTransition(rule, previous.status || null, status, evaluatedAt);
+        }
+
+        return rule;
+    }
+
+    // Evaluate every enabled rule; concurrent calls share one run
+    evaluateAll() {
+        if (!this.running) {
+            this.running = this.runEvaluation().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runEvaluation() {
+        const rules = this.data.rules.filter(rule => rule.enabled);
+        for (const rule of rules) {
+            await this.evaluate(rule);
+        }
+
+        this.lastRun = new Date().toISOString();
+        this.save();
+        return rules;
+    }
+
+    async recordTransition(rule, from, to, at) {
+        const entry = {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            from,
+            to,
+            value: rule.state.value,
+            threshold: rule.threshold,
+            at,
+            ...(rule.state.error && { error: rule.state.error })
+        };
+
+        console.log(`${this.statuses[to]} Alert "${rule.name}": ${from || 'new'} → ${to}`);
+
+        // Only firing and resolving (firing → ok; see evaluate) are worth a message
+        if (to === 'firing' || from === 'firing') {
+            entry.notification = await this.notify(rule, to === 'firing' ? 'firing' : 'resolved');
+        }
+
+        this.data.history.push(entry);
+        this.data.history = this.data.history.slice(-this.historyLimit);
+    }
+
+    // Post to the webhook; returns { sent, status?, error? } for the history entry
+    async notify(rule, event) {
+        if (!this.webhookURL) {
+            return { sent: false, error: 'ALERT_WEBHOOK_URL not set' };
+        }
+
+        try {
+            const response = await axios.post(this.webhookURL, this.buildPayload(rule, event), {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+            return { sent: true, status: response.status };
+        } catch (error) {
+            console.error(`❌ Alert webhook failed for "${rule.name}":`, error.message);
+            return { sent: false, status: error.response?.status, error: error.message };
+        }
+    }
+
+    // Slack reads `text`; generic receivers get the structured fields alongside it
+    buildPayload(rule, event) {
+        const definition = metricDefinitions.resolve(rule);
+        const value = rule.state.value;
+        const valueText = value === null ? 'no data' : aggregation.formatValue(value, rule.statistic);
+        const operator = rule.comparison === 'above' ? '>' : '<';
+        const filterText = rule.filter ? ` matching ${filterExpression.describe(rule.filter)}` : '';
+        const heading = event === 'firing'
+            ? `🔴 Alert firing: ${rule.name}`
+            : `✅ Alert resolved: ${rule.name}`;
+
+        return {
+            text: `${heading}\n${rule.statistic} ${definition.label} over the last ${rule.windowDays} days is ${valueText} ` +
+                `(threshold ${operator} ${rule.threshold}${aggregation.getUnit(rule.statistic)}) for ${rule.blueprint}${filterText}`,
+            event,
+            rule: {
+                id: rule.id,
+                name: rule.name,
+                blueprint: rule.blueprint,
+                metric: rule.metric,
+                statistic: rule.statistic,
+                comparison: rule.comparison,
+                threshold: rule.threshold,
+                windowDays: rule.windowDays,
+                filter: rule.filter
+            },
+            value,
+            evaluatedAt: rule.state.evaluatedAt
+        };
+    }
+
+    // History entries, newest first
+    getHistory({ ruleId, limit } = {}) {
+        const entries = this.data.history
+            .filter(entry => !ruleId || entry.ruleId === ruleId)
+            .slice()
+            .reverse();
+        return limit ? entries.slice(0, limit) : entries;
+    }
+
+    getStatus() {
+        return {
+            schedule: this.schedule ? this.scheduleExpression : null,
+            timezone: this.timeZone,
+            webhookConfigured: Boolean(this.webhookURL),
+            nextRun: this.nextRun ? this.nextRun.toISOString() : null,
+            lastRun: this.lastRun,
+            running: Boolean(this.running),
+            ruleCount: this.data.rules.length,
+            firingCount: this.data.rules.filter(rule => rule.state && rule.state.status === 'firing').length
+        };
+    }
+}
+
+module.exports = new AlertService();
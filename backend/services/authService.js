@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Dashboard login, sessions and roles.
+// AUTH_MODE selects how users sign in:
+//   local - usernames and scrypt password hashes from a JSON file:
+//           { users: [{ username, role, passwordHash }] } (add users with `npm run add-user`)
+//   oidc  - authorization code flow (with PKCE) against OIDC_ISSUER; the role comes from a token claim
+//   none  - no login; every request is an anonymous viewer, so the admin routes are unreachable
+// Sessions live in memory (a restart signs everyone out) and are identified by an HttpOnly cookie.
+class AuthService {
+    constructor() {
+        this.mode = (process.env.AUTH_MODE || 'local').toLowerCase();
+        this.modes = ['local', 'oidc', 'none'];
+        // Ordered from least to most privileged
+        this.roles = ['viewer', 'admin'];
+        this.usersFilePath = process.env.AUTH_USERS_FILE || path.join(__dirname, '../data/users.json');
+        this.sessionTTL = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+        this.cookieName = 'port_chart_session';
+        this.secureCookie = process.env.SESSION_COOKIE_SECURE === 'true';
+
+        this.oidc = {
+            issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+            clientId: process.env.OIDC_CLIENT_ID,
+            clientSecret: process.env.OIDC_CLIENT_SECRET,
+            redirectURI: process.env.OIDC_REDIRECT_URI ||
+                `http://localhost:${process.env.PORT || 8000}/api/session/oidc/callback`,
+            scopes: process.env.OIDC_SCOPES || 'openid profile email',
+            roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+            adminRole: process.env.OIDC_ADMIN_ROLE || 'admin',
+            adminUsers: (process.env.OIDC_ADMIN_USERS || '').split(',').map(user => user.trim()).filter(Boolean)
+        };
+        // Discovery document and signing keys, fetched on first use
+        this.discovery = null;
+        this.jwks = null;
+        // Logins waiting for the IdP callback, by `state`
+        this.pendingLogins = new Map();
+        this.loginTimeout = 10 * 60 * 1000;
+
+        this.sessions = new Map();
+
+        if (!this.modes.includes(this.mode)) {
+            throw new Error(`AUTH_MODE must be one of: ${this.modes.join(', ')}`);
+        }
+    }
+
+    // Startup summary, in the style of the environment check in server.js
+    logConfiguration() {
+        console.log(`🔐 Dashboard login: ${this.mode}`);
+        if (this.mode === 'local') {
+            const users = this.loadUsers();
+            console.log(`   ${users.length} users in ${this.usersFilePath}`);
+            if (users.length === 0) {
+                console.warn('⚠️  No dashboard users yet - add one with: npm run add-user -- <username> admin');
+            }
+        } else if (this.mode === 'oidc') {
+            console.log(`   Issuer: ${this.oidc.issuer || 'NOT SET'}`);
+            if (!this.oidc.issuer || !this.oidc.clientId) {
+                console.warn('⚠️  Set OIDC_ISSUER and OIDC_CLIENT_ID to enable OIDC login');
+            }
+        } else {
+            console.warn('⚠️  AUTH_MODE=none - anyone can view charts; token and admin routes are disabled');
+        }
+    }
+
+    // Local users
+
+    // Read on every login so users added with `npm run add-user` work without a restart
+    loadUsers() {
+        if (!fs.existsSync(this.usersFilePath)) {
+            return [];
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.usersFilePath, 'utf8'));
+            return data.users || [];
+        } catch (error) {
+            console.error(`❌ Failed to load dashboard users from ${this.usersFilePath}:`, error.message);
+            return [];
+        }
+    }
+
+    saveUsers(users) {
+        fs.mkdirSync(path.dirname(this.usersFilePath), { recursive: true });
+        const tempPath = `${this.usersFilePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ users }, null, 2));
+        fs.renameSync(tempPath, this.usersFilePath);
+    }
+
+    // Adds the user or replaces the password and role of an existing one
+    setUser(username, password, role) {
+        if (!username || !username.trim()) {
+            throw new Error('username is required');
+        }
+        if (!password || password.length < 8) {
+            throw new Error('password must be at least 8 characters');
+        }
+        if (!this.roles.includes(role)) {
+            throw new Error(`role must be one of: ${this.roles.join(', ')}`);
+        }
+
+        const users = this.loadUsers().filter(user => user.username !== username.trim());
+        users.push({ username: username.trim(), role, passwordHash: this.hashPassword(password) });
+        this.saveUsers(users);
+    }
+
+    // scrypt$<salt>$<hash>, both base64
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(password, salt, 64);
+        return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    verifyPassword(password, passwordHash) {
+        const [scheme, salt, hash] = String(passwordHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+
+        const expected = Buffer.from(hash, 'base64');
+        const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    // Returns { username, role } or null when the username or password is wrong
+    authenticateLocal(username, password) {
+        const user = this.loadUsers().find(item => item.username === username);
+        // Hash anyway for unknown users so the response time does not reveal which usernames exist
+        const valid = this.verifyPassword(String(password || ''), user ? user.passwordHash : this.getDummyHash());
+        if (!user || !valid) {
+            return null;
+        }
+        return { username: user.username, role: this.roles.includes(user.role) ? user.role : 'viewer' };
+    }
+
+    getDummyHash() {
+        if (!this.dummyHash) {
+            this.dummyHash = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+        }
+        return this.dummyHash;
+    }
+
+    // OIDC
+
+    async getDiscovery() {
+        if (!this.oidc.issuer || !this.oidc.clientId) {
+            throw new Error('OIDC is not configured. Set OIDC_ISSUER and OIDC_CLIENT_ID.');
+        }
+        if (!this.discovery) {
+            const response = await axios.get(`${this.oidc.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+            this.discovery = response.data;
+        }
+        return this.discovery;
+    }
+
+    // URL of the IdP's login page; the user comes back to /api/session/oidc/callback
+    async getAuthorizationURL(returnTo) {
+        const discovery = await this.getDiscovery();
+        const state = crypto.randomBytes(16).toString('base64url');
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+        this.prunePendingLogins();
+        this.pendingLogins.set(state, {
+            nonce,
+            codeVerifier,
+            returnTo: this.getSafeReturnTo(returnTo),
+            expiresAt: Date.now() + this.loginTimeout
+        });
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.oidc.clientId,
+            redirect_uri: this.oidc.redirectURI,
+            scope: this.oidc.scopes,
+            state,
+            nonce,
+            code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        });
+        return `${discovery.authorization_endpoint}?${params}`;
+    }
+
+    // Exchanges the authorization code and verifies the ID token; returns { user, returnTo }
+    async completeOidcLogin({ code, state }) {
+        const pending = this.pendingLogins.get(state);
+        this.pendingLogins.delete(state);
+        if (!pending || pending.expiresAt < Date.now()) {
+            throw new Error('Login expired or was not started here. Please sign in again.');
+        }
+
+        const discovery = await this.getDiscovery();
+        const response = await axios.post(discovery.token_endpoint, new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.oidc.redirectURI,
+            client_id: this.oidc.clientId,
+            ...(this.oidc.clientSecret && { client_secret: this.oidc.clientSecret }),
+            code_verifier: pending.codeVerifier
+        }), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+        });
+
+        if (!response.data.id_token) {
+            throw new Error('The identity provider did not return an ID token');
+        }
+
+        const claims = await this.verifyIdToken(response.data.id_token, pending.nonce);
+        return { user: this.getOidcUser(claims), returnTo: pending.returnTo };
+    }
+
+    async verifyIdToken(idToken, nonce) {
+        const [encodedHeader, encodedPayload, signature] = idToken.split('.');
+        if (!encodedHeader || !encodedPayload || !signature) {
+            throw new Error('Malformed ID token');
+        }
+
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        const algorithms = {
+            RS256: { hash: 'sha256' },
+            ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+        };
+        const algorithm = algorithms[header.alg];
+        if (!algorithm) {
+            throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+        }
+
+        const key = await this.getSigningKey(header.kid);
+        const valid = crypto.verify(
+            algorithm.hash,
+            Buffer.from(`${encodedHeader}.${encodedPayload}`),
+            { key, ...(algorithm.dsaEncoding && { dsaEncoding: algorithm.dsaEncoding }) },
+            Buffer.from(signature, 'base64url')
+        );
+        if (!valid) {
+            throw new Error('ID token signature is invalid');
+        }
+
+        // One minute of clock skew between us and the IdP
+        const now = Math.floor(Date.now() / 1000);
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (claims.iss !== (this.discovery.issuer || this.oidc.issuer)) {
+            throw new Error('ID token was issued by another issuer');
+        }
+        if (!audiences.includes(this.oidc.clientId)) {
+            throw new Error('ID token was issued for another client');
+        }
+        if (!claims.exp || claims.exp + 60 < now) {
+            throw new Error('ID token has expired');
+        }
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match the login');
+        }
+        return claims;
+    }
+
+    // Keys are cached; an unknown `kid` refetches them once in case the IdP rotated its keys
+    async getSigningKey(kid) {
+        const findKey = () => this.jwks && this.jwks.find(jwk => !kid || jwk.kid === kid);
+        if (!findKey()) {
+            const discovery = await this.getDiscovery();
+            const response = await axios.get(discovery.jwks_uri, { timeout: 10000 });
+            this.jwks = response.data.keys || [];
+        }
+
+        const jwk = findKey();
+        if (!jwk) {
+            throw new Error(`No signing key ${kid} at the identity provider`);
+        }
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+
+    // Admins: the role claim contains OIDC_ADMIN_ROLE, or the user is listed in OIDC_ADMIN_USERS
+    getOidcUser(claims) {
+        const username = claims.preferred_username || claims.email || claims.sub;
+        const claimValue = claims[this.oidc.roleClaim];
+        const roles = Array.isArray(claimValue) ? claimValue : String(claimValue || '').split(/[\s,]+/);
+        const isAdmin = roles.includes(this.oidc.adminRole) ||
+            [username, claims.email, claims.sub].some(value => value && this.oidc.adminUsers.includes(value));
+
+        return { username, role: isAdmin ? 'admin' : 'viewer' };
+    }
+
+    prunePendingLogins() {
+        const now = Date.now();
+        for (const [state, pending] of this.pendingLogins) {
+            if (pending.expiresAt < now) {
+                this.pendingLogins.delete(state);
+            }
+        }
+    }
+
+    // Only paths on this server, so the login cannot be used as an open redirect
+    getSafeReturnTo(returnTo) {
+        return typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/';
+    }
+
+    // Sessions
+
+    createSession(res, user) {
+        this.pruneSessions();
+        const id = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            username: user.username,
+            role: user.role,
+            createdAt: new Date().toISOString(),
+            expiresAt: Date.now() + this.sessionTTL
+        };
+        this.sessions.set(id, session);
+
+        res.cookie(this.cookieName, id, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: this.secureCookie,
+            maxAge: this.sessionTTL,
+            path: '/'
+        });
+        return session;
+    }
+
+    destroySession(req, res) {
+        const id = this.getSessionId(req);
+        if (id) {
+            this.sessions.delete(id);
+        }
+        res.clearCookie(this.cookieName, { path: '/' });
+    }
+
+    getSessionId(req) {
+        const cookies = (req.headers.cookie || '').split(';');
+        for (const cookie of cookies) {
+            const [name, ...value] = cookie.trim().split('=');
+            if (name === this.cookieName) {
+                return decodeURIComponent(value.join('='));
+            }
+        }
+        return null;
+    }
+
+    // The signed-in user ({ username, role, anonymous }) or null
+    getUser(req) {
+        if (this.mode === 'none') {
+            return { username: 'anonymous', role: 'viewer', anonymous: true };
+        }
+
+        const id = this.getSessionId(req);
+        const session = id && this.sessions.get(id);
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        return { username: session.username, role: session.role, anonymous: false };
+    }
+
+    pruneSessions() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions) {
+            if (session.expiresAt < now) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+
+    hasRole(user, role) {
+        return Boolean(user) && this.roles.indexOf(user.role) >= this.roles.indexOf(role);
+    }
+
+    // Express middleware: 401 without a session, 403 when the role is not high enough; sets req.user
+    requireRole(role) {
+        return (req, res, next) => {
+            const user = this.getUser(req);
+            if (!user) {
+                return res.status(401).json({
+                    error: 'Not signed in',
+                    message: 'Sign in to use the dashboard'
+                });
+            }
+            if (!this.hasRole(user, role)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `This action requires the ${role} role`
+                });
+            }
+
+            req.user = user;
+            next();
+        };
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            activeSessions: [...this.sessions.values()].filter(session => session.expiresAt >= Date.now()).length
+        };
+    }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,170 @@
+const fs = require('fs');
+
+// Per-blueprint dashboard defaults: metric presets (which date fields to measure between),
+// the metric and grouping selected when the blueprint is opened.
+class BlueprintDefaults {
+    constructor() {
+        this.defaultBlueprint = process.env.PORT_DEFAULT_BLUEPRINT || 'github_pull_request';
+
+        // Used for blueprints without their own entry - Port's meta timestamps exist on every entity
+        this.fallback = {
+            metrics: [
+                {
+                    id: 'lastUpdated',
+                    label: 'Entity Created to Last Updated',
+                    start: 'createdAt',
+                    end: 'updatedAt',
+                    open: 'exclude'
+                }
+            ],
+            defaultMetric: 'lastUpdated',
+            groupBy: 'none',
+            statistic: 'median',
+            // Drill-down table columns - the first non-empty path wins
+            drillDown: {
+                author: ['properties.creator', 'properties.author'],
+                repository: ['relations.repository', 'properties.repository'],
+                link: ['properties.link', 'properties.url']
+            }
+        };
+
+        this.blueprints = {
+            github_pull_request: {
+                metrics: [
+                    {
+                        id: 'cycleTime',
+                        label: 'Cycle Time',
+                        start: 'properties.createdAt',
+                        end: 'properties.mergedAt',
+                        open: 'exclude'
+                    },
+                    {
+                        id: 'reviewToMerge',
+                        label: 'First Review to Merge',
+                        start: 'properties.firstReviewAt',
+                        end: 'properties.mergedAt',
+                        open: 'exclude'
+                    },
+                    {
+                        id: 'timeToClose',
+                        label: 'Time to Close',
+                        start: 'properties.createdAt',
+                        end: 'properties.closedAt',
+                        open: 'exclude'
+                    },
+                    {
+                        id: 'openAge',
+                        label: 'Age (open counted until now)',
+                        start: 'properties.createdAt',
+                        end: 'properties.mergedAt',
+                        open: 'open'
+                    },
+                    ...this.fallback.metrics
+                ],
+                defaultMetric: 'cycleTime',
+                groupBy: 'none',
+                statistic: 'median',
+                drillDown: this.fallback.drillDown
+            },
+            gitlabMergeRequest: {
+                metrics: [
+                    {
+                        id: 'cycleTime',
+                        label: 'Cycle Time',
+                        start: 'properties.createdAt',
+                        end: 'properties.mergedAt',
+                        open: 'exclude'
+                    },
+                    {
+                        id: 'openAge',
+                        label: 'Age (open counted until now)',
+                        start: 'properties.createdAt',
+                        end: 'properties.mergedAt',
+                        open: 'open'
+                    },
+                    ...this.fallback.metrics
+                ],
+                defaultMetric: 'cycleTime',
+                groupBy: 'none',
+                statistic: 'median',
+                drillDown: {
+                    author: ['properties.creator', 'properties.author'],
+                    repository: ['relations.service', 'relations.repository', 'properties.repository'],
+                    link: ['properties.link']
+                }
+            },
+            jiraIssue: {
+                metrics: [
+                    {
+                        id: 'resolutionTime',
+                        label: 'Resolution Time',
+                        start: 'properties.created',
+                        end: 'properties.resolutionDate',
+                        open: 'exclude'
+                    },
+                    {
+                        id: 'openAge',
+                        label: 'Age (unresolved counted until now)',
+                        start: 'properties.created',
+                        end: 'properties.resolutionDate',
+                        open: 'open'
+                    },
+                    ...this.fallback.metrics
+                ],
+                defaultMetric: 'resolutionTime',
+                groupBy: 'properties.issueType',
+                statistic: 'median',
+                drillDown: {
+                    author: ['properties.reporter', 'properties.creator'],
+                    repository: ['relations.project', 'properties.project'],
+                    link: ['properties.url']
+                }
+            },
+            pagerdutyIncident: {
+                metrics: [
+                    {
+                        id: 'timeToResolve',
+                        label: 'Time to Resolve',
+                        start: 'properties.created_at',
+                        end: 'properties.resolvedAt',
+                        open: 'exclude'
+                    },
+                    ...this.fallback.metrics
+                ],
+                defaultMetric: 'timeToResolve',
+                groupBy: 'properties.urgency',
+                statistic: 'p95',
+                drillDown: {
+                    author: ['properties.assignees'],
+                    repository: ['relations.pagerdutyService', 'properties.service'],
+                    link: ['properties.url']
+                }
+            }
+        };
+
+        this.loadOverrides(process.env.BLUEPRINT_DEFAULTS_FILE);
+    }
+
+    // Merge blueprint entries from a JSON file ({ "<blueprint>": { metrics, defaultMetric, groupBy, statistic, drillDown } })
+    loadOverrides(filePath) {
+        if (!filePath) {
+            return;
+        }
+
+        try {
+            const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            Object.entries(overrides).forEach(([blueprint, defaults]) => {
+                this.blueprints[blueprint] = { ...this.get(blueprint), ...defaults };
+            });
+            console.log(`📐 Loaded blueprint defaults for: ${Object.keys(overrides).join(', ')}`);
+        } catch (error) {
+            console.error(`❌ Failed to load blueprint defaults from ${filePath}:`, error.message);
+        }
+    }
+
+    get(blueprint = this.defaultBlueprint) {
+        return this.blueprints[blueprint] || this.fallback;
+    }
+}
+
+module.exports = new BlueprintDefaults();
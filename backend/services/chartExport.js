@@ -0,0 +1,83 @@
+// CSV rendering for chart exports - shared by /chart.csv and /chart/entities?format=csv
+class ChartExport {
+    constructor() {
+        // Every statistic computed per bucket by aggregation.toSeriesItem
+        this.seriesColumns = [
+            'date',
+            'count',
+            'sum',
+            'average',
+            'median',
+            'p50',
+            'p75',
+            'p90',
+            'p95',
+            'p99',
+            'min',
+            'max',
+            'stddev',
+            'trimmedMean',
+            'value'
+        ];
+        this.entityColumns = ['identifier', 'title', 'bucket', 'start', 'end', 'hours'];
+    }
+
+    // One row per bucket; grouped charts get a leading series column ("All" for the total)
+    seriesToCsv(chart) {
+        if (!chart.groups) {
+            return this.toCsv(this.seriesColumns, chart.data.map(item => this.seriesColumns.map(column => item[column])));
+        }
+
+        const rows = [];
+        [{ key: 'All', data: chart.data }, ...chart.groups].forEach(group => {
+            group.data.forEach(item => {
+                rows.push([group.key, ...this.seriesColumns.map(column => item[column])]);
+            });
+        });
+        return this.toCsv(['series', ...this.seriesColumns], rows);
+    }
+
+    // Properties are flattened into properties.<name> columns (arrays/objects as JSON);
+    // rows from combined orgs get a leading org column
+    entitiesToCsv(rows) {
+        const columns = rows.some(row => row.org) ? ['org', ...this.entityColumns] : this.entityColumns;
+        const propertyNames = [...new Set(rows.flatMap(row => Object.keys(row.properties)))].sort();
+        const headers = [...columns, ...propertyNames.map(name => `properties.${name}`)];
+
+        return this.toCsv(headers, rows.map(row => [
+            ...columns.map(column => row[column]),
+            ...propertyNames.map(name => row.properties[name])
+        ]));
+    }
+
+    toCsv(headers, rows) {
+        return [headers, ...rows]
+            .map(row => row.map(value => this.escape(value)).join(','))
+            .join('\n') + '\n';
+    }
+
+    escape(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // Entity text that a spreadsheet would run as a formula is quoted with a leading '
+        // (numbers are left alone so negative values stay numbers)
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // e.g. github_pull_request-cycleTime-median-day.csv
+    getFilename(chart, extension, suffix = null) {
+        const parts = [chart.blueprint, chart.metric.id, chart.statistic, chart.bucket];
+        if (suffix) {
+            parts.push(suffix);
+        }
+        return `${parts.filter(Boolean).join('-')}.${extension}`;
+    }
+}
+
+module.exports = new ChartExport();
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const TokenManager = require('./tokenManager');
+const secretStore = require('./secretStore');
+
+// Named Port connections - one org each, with its own credentials, region and TokenManager.
+// PORT_CONNECTIONS_FILE lists them:
+// {
+//   defaultOrg: "us",
+//   connections: [{ id, name, region, baseURL, clientId, clientSecret, tokens: { primary, secondary, service } }]
+// }
+// String values may reference environment variables as ${NAME}, so secrets can stay out of the file.
+// Credentials may also be file:, exec: or keystore: references (see secretStore.js); a connection's
+// TokenManager is updated when one of them changes.
+// Without the file there is a single connection, `default`, configured by the PORT_* environment variables.
+class Connections {
+    constructor() {
+        this.regions = {
+            'us': { baseURL: 'https://api.port.io', appURL: 'https://app.port.io' },
+            'eu': { baseURL: 'https://api.eu.port.io', appURL: 'https://app.eu.port.io' },
+            'us-api': { baseURL: 'https://api.port.io', appURL: 'https://app.port.io' },
+            'eu-api': { baseURL: 'https://api.eu.port.io', appURL: 'https://app.eu.port.io' }
+        };
+        this.filePath = process.env.PORT_CONNECTIONS_FILE || null;
+        this.connections = new Map();
+
+        const config = this.filePath ? this.loadFile(this.filePath) : this.getEnvironmentConfig();
+        config.connections.forEach(options => {
+            const connection = this.createConnection(options);
+            this.connections.set(connection.id, connection);
+        });
+        this.defaultId = this.connections.has(config.defaultOrg) ? config.defaultOrg : this.connections.keys().next().value;
+    }
+
+    loadFile(filePath) {
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'), (key, value) => {
+            return typeof value === 'string' ? this.expandEnvironment(value) : value;
+        });
+
+        const ids = (config.connections || []).map(connection => connection.id);
+        if (ids.length === 0) {
+            throw new Error(`${filePath} has no connections`);
+        }
+        if (ids.some(id => !id || !/^[\w-]+$/.test(id)) || new Set(ids).size !== ids.length) {
+            throw new Error(`${filePath}: every connection needs a unique id (letters, digits, _ and -)`);
+        }
+        if (ids.includes('all')) {
+            throw new Error(`${filePath}: "all" is reserved for combining every org`);
+        }
+
+        console.log(`🏢 Loaded ${ids.length} Port connections from ${filePath}: ${ids.join(', ')}`);
+        return { defaultOrg: config.defaultOrg, connections: config.connections };
+    }
+
+    // ${NAME} -> process.env.NAME (empty when unset)
+    expandEnvironment(value) {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+    }
+
+    getEnvironmentConfig() {
+        return {
+            defaultOrg: 'default',
+            connections: [{
+                id: 'default',
+                name: 'Default',
+                region: process.env.PORT_API_REGION || 'us',
+                clientId: process.env.PORT_CLIENT_ID,
+                clientSecret: process.env.PORT_CLIENT_SECRET,
+                tokens: {
+                    primary: process.env.PORT_API_TOKEN_PRIMARY,
+                    secondary: process.env.PORT_API_TOKEN_SECONDARY,
+                    service: process.env.PORT_SERVICE_TOKEN
+                }
+            }]
+        };
+    }
+
+    // `baseURL` (or PORT_API_BASE_URL for every connection) replaces the region's API URL - a proxy,
+    // or the fake Port server (`npm run fake-port`) for local testing
+    createConnection({ id, name, region = 'us', baseURL: customBaseURL, clientId, clientSecret, tokens = {} }) {
+        const secrets = { clientId, clientSecret, ...tokens };
+        const normalizedRegion = this.regions[region.toLowerCase()] ? region.toLowerCase() : 'us';
+        const { appURL } = this.regions[normalizedRegion];
+        const baseURL = (customBaseURL || process.env.PORT_API_BASE_URL || this.regions[normalizedRegion].baseURL).replace(/\/+$/, '');
+        console.log(`🌍 Port API Region${id === 'default' ? '' : ` (${id})`}: ${normalizedRegion.toUpperCase()}`);
+        console.log(`🔗 Base URL: ${baseURL}`);
+
+        const tokenManager = new TokenManager({ id, baseURL, ...this.resolveCredentials(secrets) });
+        secretStore.watch(Object.values(secrets), () => tokenManager.updateCredentials(this.resolveCredentials(secrets)));
+
+        return {
+            id,
+            name: name || id,
+            region: normalizedRegion,
+            baseURL,
+            appURL,
+            tokenManager
+        };
+    }
+
+    // Credential values (or references) -> the current secrets, in the shape TokenManager takes
+    resolveCredentials({ clientId, clientSecret, primary, secondary, service }) {
+        const resolve = value => secretStore.get(value) || undefined;
+        return {
+            tokens: { primary: resolve(primary), secondary: resolve(secondary), service: resolve(service) },
+            clientCredentials: { clientId: resolve(clientId), clientSecret: resolve(clientSecret) }
+        };
+    }
+
+    get(id = this.defaultId) {
+        return this.connections.get(id) || null;
+    }
+
+    getDefault() {
+        return this.connections.get(this.defaultId);
+    }
+
+    // `org` query value -> connections: empty for the default org, `all`, or a comma-separated list of ids
+    resolve(org) {
+        if (!org) {
+            return [this.getDefault()];
+        }
+        if (org === 'all') {
+            return Array.from(this.connections.values());
+        }
+
+        const ids = [...new Set(String(org).split(',').map(id => id.trim()).filter(Boolean))];
+        const unknown = ids.filter(id => !this.connections.has(id));
+        if (unknown.length > 0 || ids.length === 0) {
+            throw new Error(`Unknown org: ${unknown.join(', ') || org}. Available: ${this.getIds().join(', ')}, or all`);
+        }
+        return ids.map(id => this.connections.get(id));
+    }
+
+    getIds() {
+        return Array.from(this.connections.keys());
+    }
+
+    // Entities are tagged with their org only when there is more than one to tell apart
+    isMultiOrg() {
+        return this.connections.size > 1;
+    }
+
+    // At least one connection can authenticate
+    hasCredentials() {
+        return Array.from(this.connections.values()).some(connection => connection.tokenManager.hasCredentials());
+    }
+
+    // Public description for the org selector - no credentials
+    list() {
+        return Array.from(this.connections.values()).map(connection => ({
+            id: connection.id,
+            name: connection.name,
+            region: connection.region,
+            isDefault: connection.id === this.defaultId
+        }));
+    }
+}
+
+module.exports = new Connections();
@@ -0,0 +1,121 @@
+const timeZones = require('./timeZones');
+
+// Minimal cron expressions: "minute hour day-of-month month day-of-week" with *, numbers,
+// ranges (1-5), lists (1,15) and steps (*/15, 0-30/10), plus @hourly, @daily, @weekly, @monthly.
+class CronSchedule {
+    constructor() {
+        this.aliases = {
+            '@hourly': '0 * * * *',
+            '@daily': '0 0 * * *',
+            '@weekly': '0 0 * * 0',
+            '@monthly': '0 0 1 * *'
+        };
+        this.fields = [
+            { name: 'minute', min: 0, max: 59 },
+            { name: 'hour', min: 0, max: 23 },
+            { name: 'day of month', min: 1, max: 31 },
+            { name: 'month', min: 1, max: 12 },
+            { name: 'day of week', min: 0, max: 7 }
+        ];
+    }
+
+    // Throws when the expression is not valid
+    parse(expression) {
+        const text = (this.aliases[expression.trim()] || expression).trim();
+        const parts = text.split(/\s+/);
+        if (parts.length !== this.fields.length) {
+            throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+        }
+
+        const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => this.parseField(part, this.fields[index]));
+        // 7 is Sunday as well as 0
+        if (daysOfWeek.has(7)) {
+            daysOfWeek.add(0);
+        }
+
+        return {
+            expression,
+            minutes,
+            hours,
+            daysOfMonth,
+            months,
+            daysOfWeek,
+            // As in cron, when both day fields are restricted a day matching either one runs
+            anyDayOfMonth: parts[2] === '*',
+            anyDayOfWeek: parts[4] === '*'
+        };
+    }
+
+    parseField(text, field) {
+        const values = new Set();
+
+        text.split(',').forEach(item => {
+            const [rangeText, stepText] = item.split('/');
+            const step = stepText === undefined ? 1 : parseInt(stepText);
+            if (isNaN(step) || step < 1) {
+                throw new Error(`Invalid step in ${field.name} field: ${item}`);
+            }
+
+            let [from, to] = [field.min, field.max];
+            if (rangeText !== '*') {
+                const bounds = rangeText.split('-').map(value => parseInt(value));
+                if (bounds.length > 2 || bounds.some(value => isNaN(value))) {
+                    throw new Error(`Invalid ${field.name} field: ${item}`);
+                }
+                from = bounds[0];
+                // "5/15" means from 5 to the end in steps of 15
+                to = bounds.length === 2 ? bounds[1] : (stepText === undefined ? from : field.max);
+            }
+
+            if (from < field.min || to > field.max || from > to) {
+                throw new Error(`${field.name} must be between ${field.min} and ${field.max}: ${item}`);
+            }
+
+            for (let value = from; value <= to; value += step) {
+                values.add(value);
+            }
+        });
+
+        return values;
+    }
+
+    matchesDay(schedule, local) {
+        const dayOfMonth = schedule.daysOfMonth.has(local.getUTCDate());
+        const dayOfWeek = schedule.daysOfWeek.has(local.getUTCDay());
+        if (!schedule.months.has(local.getUTCMonth() + 1)) {
+            return false;
+        }
+        if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+            return dayOfMonth && dayOfWeek;
+        }
+        return dayOfMonth || dayOfWeek;
+    }
+
+    // First minute after `from` at which the schedule runs, by the wall clock in timeZone
+    getNextRun(schedule, from = new Date(), timeZone = 'UTC') {
+        const minute = 60 * 1000;
+        let candidate = new Date(Math.floor(from.getTime() / minute) * minute + minute);
+        const limit = from.getTime() + 5 * 366 * 24 * 60 * minute;
+
+        while (candidate.getTime() <= limit) {
+            const local = timeZones.toLocalDate(candidate, timeZone);
+
+            // Skip the rest of a day or hour that cannot match instead of stepping minute by minute.
+            // Days are skipped to the next local midnight, as a day with a DST change is not 24 hours long.
+            if (!this.matchesDay(schedule, local)) {
+                const nextDay = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 1));
+                candidate = new Date(Math.max(timeZones.fromLocalDate(nextDay, timeZone).getTime(), candidate.getTime() + minute));
+            } else if (!schedule.hours.has(local.getUTCHours())) {
+                candidate = new Date(candidate.getTime() + (60 - local.getUTCMinutes()) * minute);
+            } else if (!schedule.minutes.has(local.getUTCMinutes())) {
+                candidate = new Date(candidate.getTime() + minute);
+            } else {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new CronSchedule();
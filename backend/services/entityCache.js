@@ -0,0 +1,156 @@
+// In-memory cache for entity lists with TTL, stale-while-revalidate and in-flight de-duplication.
+// Past the stale window, data is still served when reloading it fails with an error for which
+// options.fallbackOnError(error) is true (e.g. Port being down).
+// Holds at most options.maxEntries lists; the least recently used one is dropped first.
+class EntityCache {
+    constructor(options = {}) {
+        this.ttl = (options.ttlSeconds ?? 300) * 1000;
+        this.staleTtl = (options.staleSeconds ?? 600) * 1000;
+        this.fallbackOnError = options.fallbackOnError || (() => false);
+        this.maxEntries = Math.max(options.maxEntries ?? 500, 1);
+        // Kept in least to most recently used order (Map iteration order)
+        this.entries = new Map();
+        this.stats = {
+            hits: 0,
+            staleHits: 0,
+            misses: 0,
+            deduplicated: 0,
+            refreshes: 0,
+            errors: 0,
+            fallbacks: 0,
+            invalidations: 0,
+            evictions: 0
+        };
+    }
+
+    isEnabled() {
+        return this.ttl > 0;
+    }
+
+    // Return cached data for key, calling loader() on a miss.
+    // Stale entries are served immediately while a background refresh runs.
+    async get(key, loader) {
+        if (!this.isEnabled()) {
+            return loader();
+        }
+
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.touch(key, entry);
+        }
+        const age = entry && entry.fetchedAt ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (age < this.ttl) {
+            this.stats.hits++;
+            return entry.data;
+        }
+
+        if (age < this.ttl + this.staleTtl) {
+            this.stats.staleHits++;
+            if (!entry.promise) {
+                this.stats.refreshes++;
+                this.load(key, loader).catch(error => {
+                    console.warn(`⚠️ Background cache refresh failed for ${key}:`, error.message);
+                });
+            }
+            return entry.data;
+        }
+
+        if (entry && entry.promise) {
+            this.stats.deduplicated++;
+            return this.withFallback(key, entry, entry.promise);
+        }
+
+        this.stats.misses++;
+        return this.withFallback(key, entry, this.load(key, loader));
+    }
+
+    // The expired data of `entry` when `promise` fails with a fallback error
+    withFallback(key, entry, promise) {
+        if (!entry || !entry.fetchedAt) {
+            return promise;
+        }
+
+        return promise.catch(error => {
+            if (!this.fallbackOnError(error)) {
+                throw error;
+            }
+            this.stats.fallbacks++;
+            console.warn(`⚠️ Serving cached data from ${new Date(entry.fetchedAt).toISOString()} for ${key}: ${error.message}`);
+            return entry.data;
+        });
+    }
+
+    async load(key, loader) {
+        const entry = this.entries.get(key) || {};
+        const promise = Promise.resolve().then(loader);
+        entry.promise = promise;
+        this.touch(key, entry);
+        this.evict();
+
+        try {
+            const data = await promise;
+            // Ignore the result if the entry was invalidated while loading
+            if (this.entries.get(key) === entry) {
+                entry.data = data;
+                entry.fetchedAt = Date.now();
+            }
+            return data;
+        } catch (error) {
+            this.stats.errors++;
+            throw error;
+        } finally {
+            entry.promise = null;
+            if (this.entries.get(key) === entry && !entry.fetchedAt) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    // Move key to the most recently used end
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+
+    // Drop the least recently used entries beyond maxEntries; entries still loading are kept
+    evict() {
+        for (const [key, entry] of this.entries) {
+            if (this.entries.size <= this.maxEntries) {
+                break;
+            }
+            if (!entry.promise) {
+                this.entries.delete(key);
+                this.stats.evictions++;
+            }
+        }
+    }
+
+    // Drop every entry whose key starts with prefix (all entries when no prefix is given)
+    invalidate(prefix) {
+        let removed = 0;
+
+        for (const key of Array.from(this.entries.keys())) {
+            if (!prefix || key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        this.stats.invalidations++;
+        return removed;
+    }
+
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            ttlSeconds: this.ttl / 1000,
+            staleSeconds: this.staleTtl / 1000,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = EntityCache;
@@ -0,0 +1,21 @@
+// Dotted property paths into Port entities ("properties.mergedAt", "relations.team", "createdAt"),
+// shared by the aggregation and filter expressions
+class EntityProperties {
+    // The value at propertyPath, or null when any part of the path is missing
+    get(entity, propertyPath) {
+        const keys = propertyPath.split('.');
+        let current = entity;
+
+        for (const key of keys) {
+            if (current && typeof current === 'object' && key in current) {
+                current = current[key];
+            } else {
+                return null;
+            }
+        }
+
+        return current;
+    }
+}
+
+module.exports = new EntityProperties();
@@ -0,0 +1,228 @@
+const entityProperties = require('./entityProperties');
+
+// Filter expressions shared by the dashboard and the API:
+// { combinator: 'and' | 'or', conditions: [{ property, operator, value } | nested expression] }
+class FilterExpression {
+    constructor() {
+        this.combinators = ['and', 'or'];
+        this.operators = [
+            'equals',
+            'notEquals',
+            'contains',
+            'in',
+            'greaterThan',
+            'lessThan',
+            'before',
+            'after',
+            'isEmpty',
+            'isNotEmpty'
+        ];
+        this.isoDate = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+    }
+
+    // Accept an expression object or its JSON string; returns null for "no filter".
+    // Throws with a descriptive message when the expression is malformed.
+    parse(input) {
+        if (input === undefined || input === null || input === '') {
+            return null;
+        }
+
+        let expression = input;
+        if (typeof input === 'string') {
+            try {
+                expression = JSON.parse(input);
+            } catch (error) {
+                throw new Error('filter must be valid JSON');
+            }
+        }
+
+        this.validate(expression, 'filter');
+        return expression.conditions.length > 0 ? expression : null;
+    }
+
+    validate(expression, path) {
+        if (!expression || typeof expression !== 'object' || !Array.isArray(expression.conditions)) {
+            throw new Error(`${path} must be an object with a conditions array`);
+        }
+
+        const combinator = expression.combinator || 'and';
+        if (!this.combinators.includes(combinator)) {
+            throw new Error(`${path}.combinator must be one of: ${this.combinators.join(', ')}`);
+        }
+
+        expression.conditions.forEach((condition, index) => {
+            const conditionPath = `${path}.conditions[${index}]`;
+
+            if (condition && Array.isArray(condition.conditions)) {
+                this.validate(condition, conditionPath);
+                return;
+            }
+
+            if (!condition || typeof condition.property !== 'string' || !condition.property) {
+                throw new Error(`${conditionPath}.property is required`);
+            }
+
+            if (!this.operators.includes(condition.operator)) {
+                throw new Error(`${conditionPath}.operator must be one of: ${this.operators.join(', ')}`);
+            }
+        });
+    }
+
+    apply(entities, expression) {
+        if (!expression) {
+            return entities;
+        }
+
+        return entities.filter(entity => this.matches(entity, expression));
+    }
+
+    matches(entity, expression) {
+        const results = expression.conditions.map(condition => {
+            if (Array.isArray(condition.conditions)) {
+                return this.matches(entity, condition);
+            }
+            return this.evaluate(entityProperties.get(entity, condition.property), condition);
+        });
+
+        if (results.length === 0) {
+            return true;
+        }
+
+        return (expression.combinator || 'and') === 'or'
+            ? results.some(Boolean)
+            : results.every(Boolean);
+    }
+
+    evaluate(actual, { operator, value }) {
+        switch (operator) {
+            case 'isEmpty':
+                return this.isEmpty(actual);
+            case 'isNotEmpty':
+                return !this.isEmpty(actual);
+            case 'equals':
+                return this.someValue(actual, item => this.equals(item, value));
+            case 'notEquals':
+                return !this.someValue(actual, item => this.equals(item, value));
+            case 'contains':
+                return this.someValue(actual, item => {
+                    return item !== null && String(item).toLowerCase().includes(String(value).toLowerCase());
+                });
+            case 'in': {
+                const list = this.toList(value);
+                return this.someValue(actual, item => list.some(candidate => this.equals(item, candidate)));
+            }
+            case 'greaterThan':
+                return this.someValue(actual, item => this.compare(item, value) > 0);
+            case 'lessThan':
+                return this.someValue(actual, item => this.compare(item, value) < 0);
+            case 'before':
+                return this.someValue(actual, item => this.compareDates(item, value) < 0);
+            case 'after':
+                return this.someValue(actual, item => this.compareDates(item, value) > 0);
+            default:
+                return false;
+        }
+    }
+
+    // Arrays match when any element matches
+    someValue(actual, predicate) {
+        if (Array.isArray(actual)) {
+            return actual.some(predicate);
+        }
+        return predicate(actual);
+    }
+
+    isEmpty(actual) {
+        if (actual === null || actual === undefined || actual === '') {
+            return true;
+        }
+        if (Array.isArray(actual)) {
+            return actual.length === 0;
+        }
+        if (typeof actual === 'object') {
+            return Object.keys(actual).length === 0;
+        }
+        return false;
+    }
+
+    toList(value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+        return String(value ?? '').split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+
+    // Compare using the type of the entity's value (numbers, booleans, dates, strings)
+    equals(actual, expected) {
+        if (actual === null || actual === undefined) {
+            return expected === null || expected === undefined || expected === '';
+        }
+
+        if (typeof actual === 'number') {
+            return expected !== '' && actual === Number(expected);
+        }
+
+        if (typeof actual === 'boolean') {
+            return String(actual) === String(expected).toLowerCase();
+        }
+
+        if (this.isDate(actual) && this.isDate(expected)) {
+            return new Date(actual).getTime() === new Date(expected).getTime();
+        }
+
+        return String(actual) === String(expected);
+    }
+
+    compare(actual, expected) {
+        if (actual === null || actual === undefined || expected === null || expected === undefined || expected === '') {
+            return NaN;
+        }
+
+        const actualNumber = Number(actual);
+        const expectedNumber = Number(expected);
+        if (typeof actual !== 'boolean' && !isNaN(actualNumber) && !isNaN(expectedNumber) && String(actual).trim() !== '') {
+            return actualNumber - expectedNumber;
+        }
+
+        if (this.isDate(actual) && this.isDate(expected)) {
+            return this.compareDates(actual, expected);
+        }
+
+        return String(actual).localeCompare(String(expected));
+    }
+
+    compareDates(actual, expected) {
+        const actualDate = new Date(actual);
+        const expectedDate = new Date(expected);
+        if (actual === null || actual === undefined || isNaN(actualDate) || isNaN(expectedDate)) {
+            return NaN;
+        }
+        return actualDate - expectedDate;
+    }
+
+    isDate(value) {
+        return value instanceof Date || (typeof value === 'string' && this.isoDate.test(value));
+    }
+
+    // Human readable form, e.g. "properties.status equals merged AND ..."
+    describe(expression) {
+        if (!expression) {
+            return '';
+        }
+
+        const parts = expression.conditions.map(condition => {
+            if (Array.isArray(condition.conditions)) {
+                return `(${this.describe(condition)})`;
+            }
+            if (condition.operator === 'isEmpty' || condition.operator === 'isNotEmpty') {
+                return `${condition.property} ${condition.operator}`;
+            }
+            const value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+            return `${condition.property} ${condition.operator} ${value}`;
+        });
+
+        return parts.join(` ${(expression.combinator || 'and').toUpperCase()} `);
+    }
+}
+
+module.exports = new FilterExpression();
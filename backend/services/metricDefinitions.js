@@ -0,0 +1,57 @@
+const blueprintDefaults = require('./blueprintDefaults');
+
+// Lifecycle metric definitions - which two timestamps a duration is measured between
+class MetricDefinitions {
+    constructor() {
+        this.openHandling = ['exclude', 'open'];
+    }
+
+    // Preset definitions for a blueprint (see blueprintDefaults)
+    list(blueprint) {
+        return blueprintDefaults.get(blueprint).metrics;
+    }
+
+    getDefaultId(blueprint) {
+        return blueprintDefaults.get(blueprint).defaultMetric;
+    }
+
+    // Resolve a preset id or a custom start/end pair into a definition.
+    // Throws when the request does not describe a usable definition.
+    resolve({ blueprint, metric, start, end, open } = {}) {
+        metric = metric || this.getDefaultId(blueprint);
+
+        if (open && !this.openHandling.includes(open)) {
+            throw new Error(`open must be one of: ${this.openHandling.join(', ')}`);
+        }
+
+        if (metric === 'custom') {
+            if (!start || !end) {
+                throw new Error('A custom metric needs both a start and an end property');
+            }
+
+            return {
+                id: 'custom',
+                label: 'Custom',
+                start: start,
+                end: end,
+                open: open || 'exclude'
+            };
+        }
+
+        const definitions = this.list(blueprint);
+        const definition = definitions.find(item => item.id === metric);
+        if (!definition) {
+            const ids = definitions.map(item => item.id).concat('custom');
+            throw new Error(`metric must be one of: ${ids.join(', ')}`);
+        }
+
+        return { ...definition, open: open || definition.open };
+    }
+
+    describe(definition) {
+        const openText = definition.open === 'open' ? ', open counted until now' : '';
+        return `${definition.label} (${definition.start} → ${definition.end}${openText})`;
+    }
+}
+
+module.exports = new MetricDefinitions();
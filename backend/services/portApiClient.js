@@ -0,0 +1,240 @@
+// Sends Port API requests for PortService, one org (connection id) at a time:
+// - at most `maxConcurrent` requests in flight per org, the rest wait in line
+// - network errors, 5xx and 429 are retried with exponential backoff and jitter; Retry-After is respected
+//   and pauses every request to the org
+// - a circuit breaker per org stops calling Port after `failureThreshold` consecutive failed attempts and
+//   lets one trial request through after `resetSeconds`; meanwhile requests fail at once (with a 503)
+class PortApiClient {
+    constructor(options = {}) {
+        this.maxConcurrent = Math.max(options.maxConcurrent ?? 4, 1);
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelayMs ?? 500;
+        this.maxDelay = options.maxDelayMs ?? 10000;
+        // A longer Retry-After fails the request instead of holding it
+        this.maxRetryAfter = (options.maxRetryAfterSeconds ?? 60) * 1000;
+        this.failureThreshold = options.failureThreshold ?? 5;
+        this.resetTimeout = (options.resetSeconds ?? 30) * 1000;
+
+        // org -> { active, queue, circuit, consecutiveFailures, openedAt, trialInFlight, pausedUntil }
+        this.orgs = new Map();
+        this.stats = {
+            requests: 0,
+            retries: 0,
+            failures: 0,
+            rateLimited: 0,
+            rejected: 0,
+            circuitOpens: 0
+        };
+    }
+
+    getState(org) {
+        if (!this.orgs.has(org)) {
+            this.orgs.set(org, {
+                active: 0,
+                queue: [],
+                circuit: 'closed',
+                consecutiveFailures: 0,
+                openedAt: null,
+                trialInFlight: false,
+                pausedUntil: 0
+            });
+        }
+        return this.orgs.get(org);
+    }
+
+    // Resolves with send()'s response, retrying as described above; rejects with the last error
+    async request(org, send) {
+        const state = this.getState(org);
+        this.stats.requests++;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(org, state, send);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) {
+                    this.stats.failures++;
+                    throw error;
+                }
+
+                this.stats.retries++;
+                console.warn(`⏳ Port API ${this.describeError(error)}${org === 'default' ? '' : ` (${org})`} - retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    // One call to Port inside a concurrency slot, recorded by the circuit breaker
+    async attempt(org, state, send) {
+        await this.acquire(state);
+        let isTrial = false;
+
+        try {
+            // Another request was told to slow down - wait it out rather than collect more 429s
+            const pause = state.pausedUntil - Date.now();
+            if (pause > 0) {
+                await this.sleep(pause);
+            }
+
+            isTrial = this.checkCircuit(org, state);
+            const response = await send();
+            this.recordResult(org, state, null);
+            return response;
+        } catch (error) {
+            if (error.code !== 'PORT_CIRCUIT_OPEN') {
+                this.recordResult(org, state, error);
+            }
+            throw error;
+        } finally {
+            if (isTrial) {
+                state.trialInFlight = false;
+            }
+            this.release(state);
+        }
+    }
+
+    acquire(state) {
+        if (state.active < this.maxConcurrent) {
+            state.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => state.queue.push(resolve));
+    }
+
+    // Hands the slot straight to the next waiting request
+    release(state) {
+        const next = state.queue.shift();
+        if (next) {
+            next();
+        } else {
+            state.active--;
+        }
+    }
+
+    // Throws while the circuit is open; returns true for the trial request of a half-open circuit
+    checkCircuit(org, state) {
+        if (state.circuit === 'closed') {
+            return false;
+        }
+
+        const retryAt = state.openedAt + this.resetTimeout;
+        if (state.circuit === 'open' && Date.now() >= retryAt) {
+            state.circuit = 'half-open';
+        }
+        if (state.circuit === 'half-open' && !state.trialInFlight) {
+            state.trialInFlight = true;
+            return true;
+        }
+
+        this.stats.rejected++;
+        const seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1);
+        const error = new Error(`Port API${org === 'default' ? '' : ` (${org})`} is unavailable - not calling it for ${seconds}s after repeated failures`);
+        error.code = 'PORT_CIRCUIT_OPEN';
+        // Shaped like a Port response so the routes pass it through as a 503
+        error.response = {
+            status: 503,
+            headers: { 'retry-after': String(seconds) },
+            data: { error: 'Port API Unavailable', message: error.message }
+        };
+        throw error;
+    }
+
+    // Only unavailability counts against the circuit; any answer from Port (even a 404 or 429) shows it is up
+    recordResult(org, state, error) {
+        if (error && error.response?.status === 429) {
+            this.stats.rateLimited++;
+            const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+            if (retryAfter !== null) {
+                state.pausedUntil = Math.max(state.pausedUntil, Date.now() + Math.min(retryAfter, this.maxRetryAfter));
+            }
+        }
+
+        if (!error || !this.isUnavailable(error)) {
+            if (state.circuit !== 'closed') {
+                console.log(`✅ Port API${org === 'default' ? '' : ` (${org})`} is reachable again - circuit closed`);
+            }
+            state.circuit = 'closed';
+            state.consecutiveFailures = 0;
+            state.openedAt = null;
+            return;
+        }
+
+        state.consecutiveFailures++;
+        if (state.circuit === 'half-open' || (state.circuit === 'closed' && state.consecutiveFailures >= this.failureThreshold)) {
+            if (state.circuit === 'closed') {
+                this.stats.circuitOpens++;
+            }
+            console.error(`🔌 Port API${org === 'default' ? '' : ` (${org})`} unavailable after ${state.consecutiveFailures} failed calls - circuit open for ${this.resetTimeout / 1000}s`);
+            state.circuit = 'open';
+            state.openedAt = Date.now();
+        }
+    }
+
+    // Port did not answer, or answered with a server error
+    isUnavailable(error) {
+        if (error.code === 'PORT_CIRCUIT_OPEN') {
+            return true;
+        }
+        return error.response ? error.response.status >= 500 : Boolean(error.request || error.isAxiosError);
+    }
+
+    // Milliseconds to wait before the next attempt, or null when the error is final
+    getRetryDelay(error, attempt) {
+        if (attempt >= this.maxRetries || error.code === 'PORT_CIRCUIT_OPEN') {
+            return null;
+        }
+
+        const status = error.response?.status;
+        if (status !== 429 && !(this.isUnavailable(error) && status !== 501)) {
+            return null;
+        }
+
+        const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+        }
+
+        // Exponential backoff with jitter, so requests that failed together do not retry together
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    // Retry-After is either seconds or an HTTP date; null when absent or unreadable
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (/^\d+$/.test(String(value).trim())) {
+            return parseInt(value) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+
+    describeError(error) {
+        return error.response ? `responded ${error.response.status}` : `request failed (${error.code || error.message})`;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getStats() {
+        return {
+            maxConcurrent: this.maxConcurrent,
+            maxRetries: this.maxRetries,
+            ...this.stats,
+            orgs: Object.fromEntries(Array.from(this.orgs.entries()).map(([org, state]) => [org, {
+                circuit: state.circuit,
+                consecutiveFailures: state.consecutiveFailures,
+                openedAt: state.openedAt ? new Date(state.openedAt).toISOString() : null,
+                active: state.active,
+                queued: state.queue.length,
+                pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null
+            }]))
+        };
+    }
+}
+
+module.exports = PortApiClient;
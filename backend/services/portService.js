@@ -1,34 +1,50 @@
 const axios = require('axios');
+const aggregation = require('./aggregation');
+const EntityCache = require('./entityCache');
+const PortApiClient = require('./portApiClient');
+const connections = require('./connections');
 
+// Port API access. Every call takes an `org` option (see connections.resolve): the default org when
+// omitted, or several orgs whose results are combined.
 class PortService {
     constructor() {
-        // Support different regions via environment variable
-        const region = process.env.PORT_API_REGION || 'us';
-        this.baseURL = this.getBaseURL(region);
         this.timeout = 30000; // 30 seconds
-        
-        console.log(`🌍 Port API Region: ${region.toUpperCase()}`);
-        console.log(`🔗 Base URL: ${this.baseURL}`);
+        // Port returns at most 1000 entities per request
+        this.maxPageSize = 1000;
+        this.pageSize = Math.min(parseInt(process.env.PORT_API_PAGE_SIZE) || this.maxPageSize, this.maxPageSize);
+        this.client = new PortApiClient({
+            maxConcurrent: parseInt(process.env.PORT_API_MAX_CONCURRENT ?? 4),
+            maxRetries: parseInt(process.env.PORT_API_MAX_RETRIES ?? 3),
+            baseDelayMs: parseInt(process.env.PORT_API_RETRY_BASE_MS ?? 500),
+            maxDelayMs: parseInt(process.env.PORT_API_RETRY_MAX_MS ?? 10000),
+            maxRetryAfterSeconds: parseInt(process.env.PORT_API_MAX_RETRY_AFTER_SECONDS ?? 60),
+            failureThreshold: parseInt(process.env.PORT_CIRCUIT_FAILURE_THRESHOLD ?? 5),
+            resetSeconds: parseInt(process.env.PORT_CIRCUIT_RESET_SECONDS ?? 30)
+        });
+        this.cache = new EntityCache({
+            ttlSeconds: parseInt(process.env.PORT_CACHE_TTL_SECONDS ?? 300),
+            staleSeconds: parseInt(process.env.PORT_CACHE_STALE_SECONDS ?? 600),
+            maxEntries: parseInt(process.env.PORT_CACHE_MAX_ENTRIES) || 500,
+            // While Port is down, charts keep showing the last entities fetched
+            fallbackOnError: error => this.client.isUnavailable(error)
+        });
     }
 
-    getBaseURL(region) {
-        const regions = {
-            'us': 'https://api.port.io',
-            'eu': 'https://api.eu.port.io',
-            'us-api': 'https://api.port.io',
-            'eu-api': 'https://api.eu.port.io'
-        };
-        
-        const normalizedRegion = region.toLowerCase();
-        return regions[normalizedRegion] || regions['us'];
+    // Link to the entity page in the Port web app of the entity's org
+    getEntityURL(blueprint, identifier, org) {
+        const connection = connections.get(org) || connections.getDefault();
+        return `${connection.appURL}/${blueprint}Entity?identifier=${encodeURIComponent(identifier)}`;
     }
 
-    async makeAuthenticatedRequest(url, options = {}) {
-        const tokenManager = require('./tokenManager');
-        const token = tokenManager.getCurrentToken();
+    async makeAuthenticatedRequest(url, options = {}, connection = connections.getDefault()) {
+        const tokenManager = connection.tokenManager;
+        // Waits for a refresh in progress, or refreshes an expired token first
+        const token = await tokenManager.getValidToken();
         
         if (!token) {
-            throw new Error('No valid Port API token available. Please set PORT_API_TOKEN_PRIMARY environment variable or PORT_CLIENT_ID/PORT_CLIENT_SECRET.');
+            throw new Error(connection.id === 'default'
+                ? 'No valid Port API token available. Please set PORT_API_TOKEN_PRIMARY environment variable or PORT_CLIENT_ID/PORT_CLIENT_SECRET.'
+                : `No valid Port API token available for ${connection.id}. Check its credentials in PORT_CONNECTIONS_FILE.`);
         }
 
         const requestOptions = {
@@ -42,18 +58,21 @@ class PortService {
         };
 
         try {
-            const response = await axios(url, requestOptions);
+            // Concurrency limit, retries and circuit breaker (see portApiClient.js)
+            const response = await this.client.request(connection.id, () => axios(url, requestOptions));
             return response;
         } catch (error) {
-            console.error('Port API Error:', error.response?.status, error.response?.data);
+            console.error(`Port API Error${connection.id === 'default' ? '' : ` (${connection.id})`}:`, error.response?.status, error.response?.data);
             
             // If it's an authentication error, try to refresh the token
             if (error.response?.status === 401 || error.response?.status === 403) {
                 console.log('🔄 Authentication error detected, attempting token refresh...');
                 try {
-                    await tokenManager.rotateToken();
+                    // Another request may already have replaced the rejected token
+                    const newToken = tokenManager.getCurrentToken() !== token
+                        ? await tokenManager.getValidToken()
+                        : await tokenManager.rotateToken({ force: true });
                     // Retry the request with the new token
-                    const newToken = tokenManager.getCurrentToken();
                     if (newToken && newToken !== token) {
                         console.log('🔄 Retrying request with refreshed token...');
                         const retryOptions = {
@@ -63,7 +82,7 @@ class PortService {
                                 'Authorization': `Bearer ${newToken}`
                             }
                         };
-                        const retryResponse = await axios(url, retryOptions);
+                        const retryResponse = await this.client.request(connection.id, () => axios(url, retryOptions));
                         return retryResponse;
                     }
                 } catch (refreshError) {
@@ -75,14 +94,156 @@ class PortService {
         }
     }
 
-    async getEntities(blueprint) {
-        const response = await this.makeAuthenticatedRequest(`${this.baseURL}/v1/blueprints/${blueprint}/entities`);
-        return response.data.entities || [];
+    // Fetch every entity of a blueprint, served from the per-blueprint cache when possible.
+    // Combined orgs are fetched in parallel, each from its own cache entry.
+    async getEntities(blueprint, options = {}) {
+        const { rules = [], combinator = 'and', org } = options;
+        const targets = connections.resolve(org);
+        const results = await Promise.all(targets.map(connection => {
+            const key = `${blueprint}:${connection.id}:${JSON.stringify({ rules, combinator })}`;
+            return this.cache.get(key, () => this.fetchAllEntities(blueprint, { rules, combinator, connection }))
+                .catch(error => {
+                    // An org without the blueprint adds nothing to a combined chart
+                    if (targets.length > 1 && error.response?.status === 404) {
+                        return [];
+                    }
+                    throw error;
+                });
+        }));
+
+        return results.length === 1 ? results[0] : results.flat();
+    }
+
+    // Follow the `next` cursor page by page.
+    // When search rules are given, Port's search endpoint filters on its side.
+    async fetchAllEntities(blueprint, options = {}) {
+        const entities = [];
+        let from = options.from;
+
+        do {
+            const page = await this.getEntitiesPage(blueprint, { ...options, from });
+            entities.push(...page.entities);
+            from = page.next;
+        } while (from);
+
+        return entities;
+    }
+
+    // Fetch a single page of entities from one org; `next` is the cursor for the following page (or null)
+    async getEntitiesPage(blueprint, options = {}) {
+        const { rules = [], combinator = 'and', from, limit = this.pageSize } = options;
+        const connection = options.connection || this.getSingleConnection(options.org);
+        let response;
+
+        if (rules.length > 0) {
+            response = await this.makeAuthenticatedRequest(`${connection.baseURL}/v1/blueprints/${blueprint}/entities/search`, {
+                method: 'POST',
+                data: {
+                    query: { combinator, rules },
+                    limit: limit,
+                    ...(from && { from })
+                }
+            }, connection);
+        } else {
+            response = await this.makeAuthenticatedRequest(`${connection.baseURL}/v1/blueprints/${blueprint}/entities`, {
+                params: {
+                    limit: limit,
+                    ...(from && { from })
+                }
+            }, connection);
+        }
+
+        const entities = response.data.entities || [];
+        return {
+            // Tagged with their org so combined charts can group by it and link back to the right app
+            entities: connections.isMultiOrg() ? entities.map(entity => ({ ...entity, org: connection.id })) : entities,
+            next: response.data.next || null
+        };
+    }
+
+    // Cursors belong to one org, so paging cannot combine orgs
+    getSingleConnection(org) {
+        const targets = connections.resolve(org);
+        if (targets.length > 1) {
+            throw new Error('Paging through entities needs a single org');
+        }
+        return targets[0];
+    }
+
+    invalidateCache(blueprint) {
+        const removed = this.cache.invalidate(blueprint ? `${blueprint}:` : undefined);
+        console.log(`🧹 Invalidated ${removed} cached entity list(s)${blueprint ? ` for ${blueprint}` : ''}`);
+        return removed;
+    }
+
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    // Requests, retries, failures and the circuit of every org
+    getApiStats() {
+        return this.client.getStats();
+    }
+
+    // Map a dashboard property path to the property name Port's search rules expect
+    toSearchProperty(propertyPath) {
+        if (propertyPath.startsWith('properties.')) {
+            return propertyPath.substring('properties.'.length);
+        }
+        return `$${propertyPath}`;
+    }
+
+    // Build Port search rules for a date range on a date property plus equality filters.
+    // The range is widened to whole UTC days (plus a day either side, so buckets in any time zone
+    // are complete) so repeated requests share a cache entry.
+    buildSearchRules({ startDate, endDate, dateProperty = 'createdAt', equals = {} } = {}) {
+        const rules = [];
+
+        if (startDate || endDate) {
+            const from = new Date(startDate || 0);
+            from.setUTCHours(0, 0, 0, 0);
+            if (startDate) {
+                from.setUTCDate(from.getUTCDate() - 1);
+            }
+            const to = endDate ? new Date(endDate) : new Date();
+            to.setUTCHours(23, 59, 59, 999);
+            to.setUTCDate(to.getUTCDate() + 1);
+
+            rules.push({
+                property: this.toSearchProperty(dateProperty),
+                operator: 'between',
+                value: {
+                    from: from.toISOString(),
+                    to: to.toISOString()
+                }
+            });
+        }
+
+        Object.entries(equals).forEach(([propertyPath, value]) => {
+            rules.push({
+                property: this.toSearchProperty(propertyPath),
+                operator: '=',
+                value: value
+            });
+        });
+
+        return rules;
     }
 
-    async getBlueprints() {
-        const response = await this.makeAuthenticatedRequest(`${this.baseURL}/v1/blueprints`);
-        return response.data.blueprints || [];
+    // Blueprints of the org, or of all combined orgs (each identifier once)
+    async getBlueprints(org) {
+        const results = await Promise.all(connections.resolve(org).map(async connection => {
+            const response = await this.makeAuthenticatedRequest(`${connection.baseURL}/v1/blueprints`, {}, connection);
+            return response.data.blueprints || [];
+        }));
+
+        const blueprints = new Map();
+        results.flat().forEach(blueprint => {
+            if (!blueprints.has(blueprint.identifier)) {
+                blueprints.set(blueprint.identifier, blueprint);
+            }
+        });
+        return Array.from(blueprints.values());
     }
 
     extractProperties(entities) {
@@ -111,6 +272,18 @@ class PortService {
         }
     }
 
+    // Properties whose values look like ISO dates (usable as metric start/end timestamps)
+    extractDateProperties(entities) {
+        const isoDate = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+        return this.extractProperties(entities).filter(propertyPath => {
+            return entities.some(entity => {
+                const value = this.getPropertyValue(entity, propertyPath);
+                return typeof value === 'string' && isoDate.test(value);
+            });
+        });
+    }
+
     getPropertyValues(entities, propertyPath) {
         const values = new Set();
         
@@ -125,67 +298,7 @@ class PortService {
     }
 
     getPropertyValue(entity, propertyPath) {
-        const keys = propertyPath.split('.');
-        let current = entity;
-        
-        for (const key of keys) {
-            if (current && typeof current === 'object' && key in current) {
-                current = current[key];
-            } else {
-                return null;
-            }
-        }
-        
-        return current;
-    }
-
-    // Process entities for chart data
-    processEntitiesForChart(entities, jsonProperty = 'default', propertyValue = 'all') {
-        let filteredEntities = entities;
-
-        // Apply property filter if specified
-        if (jsonProperty !== 'default' && propertyValue !== 'all') {
-            filteredEntities = entities.filter(entity => {
-                const value = this.getPropertyValue(entity, jsonProperty);
-                return String(value) === propertyValue;
-            });
-        }
-
-        // Calculate metrics
-        const chartData = filteredEntities.map(entity => {
-            const createdAt = new Date(entity.createdAt);
-            const updatedAt = new Date(entity.updatedAt);
-            const hours = Math.abs(updatedAt - createdAt) / (1000 * 60 * 60);
-
-            return {
-                date: createdAt.toISOString().split('T')[0],
-                hours: hours,
-                count: 1,
-                avgHours: hours
-            };
-        });
-
-        // Group by date and aggregate
-        const groupedData = {};
-        chartData.forEach(item => {
-            if (!groupedData[item.date]) {
-                groupedData[item.date] = {
-                    date: item.date,
-                    hours: 0,
-                    count: 0,
-                    avgHours: 0
-                };
-            }
-            groupedData[item.date].hours += item.hours;
-            groupedData[item.date].count += item.count;
-        });
-
-        // Calculate averages
-        Object.values(groupedData).forEach(item => {
-            item.avgHours = item.hours / item.count;
-        });
-
-        return Object.values(groupedData).sort((a, b) => new Date(a.date) - new Date(b.date));
+        return aggregation.getPropertyValue(entity, propertyPath);
     }
 }
 
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { exec, execSync } = require('child_process');
+
+// Secrets for the Port credentials that come from somewhere other than the value itself.
+// Any credential (PORT_* environment variables or PORT_CONNECTIONS_FILE values) may be a reference:
+//   file:/run/secrets/port_client_secret  - a mounted file (Docker/Kubernetes secrets), re-read when it changes
+//   exec:vault kv get -field=secret port   - a command that prints the secret, re-run every SECRET_EXEC_REFRESH_SECONDS
+//   keystore:port_client_secret           - an entry of the encrypted SECRET_KEYSTORE_FILE (`npm run keystore`)
+// Anything else is used as-is. Listeners registered with watch() hear about changed values, so a rotated
+// secret is picked up without a restart.
+class SecretStore {
+    constructor() {
+        this.watchInterval = (parseInt(process.env.SECRET_WATCH_INTERVAL_SECONDS) || 5) * 1000;
+        this.execRefresh = parseInt(process.env.SECRET_EXEC_REFRESH_SECONDS ?? 300) * 1000;
+        this.execTimeout = (parseInt(process.env.SECRET_EXEC_TIMEOUT_SECONDS) || 10) * 1000;
+        this.keystoreFilePath = process.env.SECRET_KEYSTORE_FILE || path.join(__dirname, '../data/keystore.json');
+        // Changes arriving together (a keystore edit, several files of one Kubernetes secret) reach listeners once
+        this.notifyDelay = 1000;
+
+        // reference -> { provider, target, value, error, loadedAt, listeners }
+        this.sources = new Map();
+        this.keystoreWatched = false;
+        // scrypt is slow on purpose - keep the key derived for the current salt and passphrase
+        this.keystoreKey = null;
+        this.pendingListeners = new Set();
+        this.notifyTimer = null;
+    }
+
+    // `file:...`, `exec:...` or `keystore:...` -> { provider, target }; null for plain values
+    parseReference(value) {
+        const match = typeof value === 'string' && value.match(/^(file|exec|keystore):(.+)$/s);
+        return match ? { provider: match[1], target: match[2].trim() } : null;
+    }
+
+    // The secret behind a reference (read on first use, then kept up to date); plain values as they are
+    get(value) {
+        const source = this.getSource(value);
+        return source ? source.value : value;
+    }
+
+    // For the startup environment check - never the value itself
+    describe(value) {
+        if (!value) {
+            return 'Not Set';
+        }
+        const source = this.getSource(value);
+        if (!source) {
+            return 'Set';
+        }
+        return source.error ? `Unavailable (${source.provider}: ${source.error})` : `Set (${source.provider})`;
+    }
+
+    getSource(value) {
+        const reference = this.parseReference(value);
+        if (!reference) {
+            return null;
+        }
+
+        if (!this.sources.has(value)) {
+            const source = { ...reference, value: undefined, error: null, loadedAt: null, listeners: new Set() };
+            this.sources.set(value, source);
+            this.load(source);
+        }
+        return this.sources.get(value);
+    }
+
+    // Calls `listener` whenever one of the referenced secrets changes. Plain values are ignored.
+    watch(values, listener) {
+        values.forEach(value => {
+            const source = this.getSource(value);
+            if (!source) {
+                return;
+            }
+            if (source.listeners.size === 0) {
+                this.startWatching(source);
+            }
+            source.listeners.add(listener);
+        });
+    }
+
+    // Reads the current value; a failed read keeps the last good value so a hiccup never drops credentials
+    load(source) {
+        try {
+            const value = this.read(source);
+            if (!value) {
+                throw new Error('empty secret');
+            }
+            source.error = null;
+            source.loadedAt = Date.now();
+            return this.update(source, value);
+        } catch (error) {
+            // execSync errors carry the command's stderr; others (an empty secret, ...) have a plain message
+            this.setError(source, error.stderr !== undefined ? this.describeCommandError(error, error.stderr) : error.message);
+            return false;
+        }
+    }
+
+    // Logged once per distinct error, not on every poll
+    setError(source, message) {
+        if (source.error !== message) {
+            console.error(`❌ Failed to read secret from ${source.provider} (${this.label(source)}): ${message}`);
+        }
+        source.error = message;
+    }
+
+    // The command line may carry arguments that should stay out of logs, so only stderr or the exit status
+    describeCommandError(error, stderr) {
+        if (!error) {
+            return 'empty secret';
+        }
+        if (error.killed || error.code === 'ETIMEDOUT') {
+            return `timed out after ${this.execTimeout / 1000}s`;
+        }
+        return String(stderr || '').trim().split('\n')[0] || `exit code ${error.status ?? error.code}`;
+    }
+
+    read({ provider, target }) {
+        if (provider === 'file') {
+            return fs.readFileSync(target, 'utf8').trim();
+        }
+        if (provider === 'exec') {
+            return execSync(target, { encoding: 'utf8', timeout: this.execTimeout, stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+        }
+        const secrets = this.readKeystore();
+        if (!(target in secrets)) {
+            throw new Error(`no entry "${target}" in ${this.keystoreFilePath}`);
+        }
+        return secrets[target];
+    }
+
+    // Stores a new value; true (and listeners scheduled) when it differs from the previous one
+    update(source, value) {
+        if (source.value === value) {
+            return false;
+        }
+
+        const isReload = source.value !== undefined;
+        source.value = value;
+        if (isReload) {
+            console.log(`🔐 Secret from ${source.provider} (${this.label(source)}) changed`);
+            source.listeners.forEach(listener => this.pendingListeners.add(listener));
+            clearTimeout(this.notifyTimer);
+            this.notifyTimer = setTimeout(() => this.notify(), this.notifyDelay);
+        }
+        return true;
+    }
+
+    notify() {
+        const listeners = Array.from(this.pendingListeners);
+        this.pendingListeners.clear();
+        listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('❌ Secret change listener failed:', error.message);
+            }
+        });
+    }
+
+    // Files are polled (fs.watch misses the symlink swap Kubernetes uses to update mounted secrets).
+    // None of the watchers keeps the process alive.
+    startWatching(source) {
+        if (source.provider === 'file') {
+            fs.watchFile(source.target, { interval: this.watchInterval, persistent: false }, () => this.load(source));
+        } else if (source.provider === 'keystore') {
+            if (!this.keystoreWatched) {
+                this.keystoreWatched = true;
+                fs.watchFile(this.keystoreFilePath, { interval: this.watchInterval, persistent: false }, () => {
+                    this.getKeystoreSources().forEach(keystoreSource => this.load(keystoreSource));
+                });
+            }
+        } else if (this.execRefresh > 0) {
+            setInterval(() => this.refreshCommand(source), this.execRefresh).unref();
+        }
+    }
+
+    // Re-runs a command without blocking requests (the first run at startup is synchronous)
+    refreshCommand(source) {
+        exec(source.target, { encoding: 'utf8', timeout: this.execTimeout }, (error, stdout, stderr) => {
+            const value = (stdout || '').trim();
+            if (error || !value) {
+                this.setError(source, this.describeCommandError(error, stderr));
+                return;
+            }
+            source.error = null;
+            source.loadedAt = Date.now();
+            this.update(source, value);
+        });
+    }
+
+    getKeystoreSources() {
+        return Array.from(this.sources.values()).filter(source => source.provider === 'keystore');
+    }
+
+    // Where a secret comes from, for logs: the file path, the keystore entry or the command's program name
+    label(source) {
+        return source.provider === 'exec' ? source.target.split(/\s+/)[0] : source.target;
+    }
+
+    // Encrypted keystore: { version: 1, salt, secrets: { name: { iv, tag, data } } }
+    // Entries are AES-256-GCM encrypted with a key derived (scrypt) from SECRET_KEYSTORE_KEY, which may
+    // itself be a file: or exec: reference. The entry name is authenticated, so entries cannot be swapped.
+
+    getKeystorePassphrase() {
+        const passphrase = process.env.SECRET_KEYSTORE_KEY;
+        if (!passphrase) {
+            throw new Error('SECRET_KEYSTORE_KEY is not set');
+        }
+        if (this.parseReference(passphrase)?.provider === 'keystore') {
+            throw new Error('SECRET_KEYSTORE_KEY cannot come from the keystore itself');
+        }
+
+        const value = this.get(passphrase);
+        if (!value) {
+            throw new Error('SECRET_KEYSTORE_KEY could not be read');
+        }
+        return value;
+    }
+
+    deriveKeystoreKey(salt) {
+        const passphrase = this.getKeystorePassphrase();
+        if (!this.keystoreKey || this.keystoreKey.salt !== salt || this.keystoreKey.passphrase !== passphrase) {
+            this.keystoreKey = { salt, passphrase, key: crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32) };
+        }
+        return this.keystoreKey.key;
+    }
+
+    loadKeystore() {
+        if (!fs.existsSync(this.keystoreFilePath)) {
+            return { version: 1, salt: crypto.randomBytes(16).toString('base64'), secrets: {} };
+        }
+        return JSON.parse(fs.readFileSync(this.keystoreFilePath, 'utf8'));
+    }
+
+    saveKeystore(keystore) {
+        fs.mkdirSync(path.dirname(this.keystoreFilePath), { recursive: true });
+        const tempPath = `${this.keystoreFilePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.keystoreFilePath);
+    }
+
+    // Every entry, decrypted
+    readKeystore() {
+        if (!fs.existsSync(this.keystoreFilePath)) {
+            throw new Error(`${this.keystoreFilePath} does not exist`);
+        }
+
+        const keystore = this.loadKeystore();
+        const key = this.deriveKeystoreKey(keystore.salt);
+        return Object.fromEntries(Object.entries(keystore.secrets || {}).map(([name, entry]) => {
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+                decipher.setAAD(Buffer.from(name));
+                decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+                return [name, Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8')];
+            } catch (error) {
+                throw new Error(`cannot decrypt "${name}" - wrong SECRET_KEYSTORE_KEY?`);
+            }
+        }));
+    }
+
+    // Adds or replaces an entry (a running server picks it up within SECRET_WATCH_INTERVAL_SECONDS)
+    setKeystoreSecret(name, value) {
+        if (!name || !/^[\w.-]+$/.test(name)) {
+            throw new Error('name may only contain letters, digits, _, . and -');
+        }
+        if (!value) {
+            throw new Error('value is required');
+        }
+
+        const keystore = this.loadKeystore();
+        const key = this.deriveKeystoreKey(keystore.salt);
+        // Fails on a wrong passphrase before anything is written with it
+        if (Object.keys(keystore.secrets).length > 0) {
+            this.readKeystore();
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from(name));
+        const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+        keystore.secrets[name] = {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+        this.saveKeystore(keystore);
+    }
+
+    deleteKeystoreSecret(name) {
+        const keystore = this.loadKeystore();
+        if (!keystore.secrets[name]) {
+            return false;
+        }
+        delete keystore.secrets[name];
+        this.saveKeystore(keystore);
+        return true;
+    }
+
+    listKeystoreSecrets() {
+        return Object.keys(this.loadKeystore().secrets);
+    }
+
+    // For /health - which providers are in use and whether any is failing; no paths, commands or values
+    getStatus() {
+        const sources = Array.from(this.sources.values());
+        return {
+            sources: sources.length,
+            providers: [...new Set(sources.map(source => source.provider))],
+            errors: sources.filter(source => source.error).length
+        };
+    }
+}
+
+module.exports = new SecretStore();
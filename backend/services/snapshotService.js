@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const portService = require('./portService');
+const aggregation = require('./aggregation');
+const metricDefinitions = require('./metricDefinitions');
+const blueprintDefaults = require('./blueprintDefaults');
+const cronSchedule = require('./cronSchedule');
+const timeZones = require('./timeZones');
+
+// Scheduled snapshots of the aggregated metrics, so long-term trends survive entities being
+// deleted or changed in Port. Persisted in a local JSON file:
+// {
+//   snapshots: [{ id, takenAt, blueprint, timezone, range, entityCount, metrics: { <metricId>: summary } }],
+//   series: { <blueprint>: { <metricId>: { <YYYY-MM-DD>: { ...series item, snapshotAt } } } }
+// }
+// Every snapshot re-aggregates the last SNAPSHOT_LOOKBACK_DAYS days into daily buckets; each bucket
+// keeps the values from the latest snapshot that covered it, and is frozen once it falls out of
+// the lookback window.
+class SnapshotService {
+    constructor() {
+        this.filePath = process.env.SNAPSHOTS_FILE || path.join(__dirname, '../data/snapshots.json');
+        this.scheduleExpression = process.env.SNAPSHOT_SCHEDULE || '@daily';
+        this.timeZone = process.env.SNAPSHOT_TIMEZONE || 'UTC';
+        this.lookbackDays = parseInt(process.env.SNAPSHOT_LOOKBACK_DAYS) || 30;
+        // Older entries of the snapshot log are dropped; the daily series is kept
+        this.maxSnapshots = parseInt(process.env.SNAPSHOT_MAX_SNAPSHOTS) || 1000;
+        this.blueprints = process.env.SNAPSHOT_BLUEPRINTS
+            ? process.env.SNAPSHOT_BLUEPRINTS.split(',').map(blueprint => blueprint.trim()).filter(Boolean)
+            : [blueprintDefaults.defaultBlueprint];
+        // Per-bucket fields worth keeping - everything but the selected-statistic `value`
+        this.statistics = aggregation.statistics.filter(statistic => !aggregation.isRollingStatistic(statistic));
+
+        this.schedule = null;
+        this.timer = null;
+        this.nextRun = null;
+        this.lastRun = null;
+        this.lastError = null;
+        this.running = null;
+        this.data = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return { snapshots: [], series: {} };
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            console.log(`📸 Loaded ${data.snapshots.length} snapshots from ${this.filePath}`);
+            return { snapshots: data.snapshots || [], series: data.series || {} };
+        } catch (error) {
+            console.error(`❌ Failed to load snapshots from ${this.filePath}:`, error.message);
+            return { snapshots: [], series: {} };
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written file behind
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Start the schedule; SNAPSHOT_SCHEDULE=off disables it (snapshots can still be taken on demand)
+    start() {
+        if (this.scheduleExpression === 'off') {
+            console.log('📸 Scheduled snapshots disabled');
+            return;
+        }
+
+        if (!timeZones.isValid(this.timeZone)) {
+            console.error(`❌ Invalid SNAPSHOT_TIMEZONE "${this.timeZone}", scheduled snapshots disabled`);
+            return;
+        }
+
+        try {
+            this.schedule = cronSchedule.parse(this.scheduleExpression);
+        } catch (error) {
+            console.error('❌ Invalid SNAPSHOT_SCHEDULE, scheduled snapshots disabled:', error.message);
+            return;
+        }
+
+        console.log(`📸 Snapshots scheduled "${this.scheduleExpression}" (${this.timeZone}) for ${this.blueprints.join(', ')}`);
+        this.scheduleNext();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRun = null;
+    }
+
+    scheduleNext() {
+        this.nextRun = cronSchedule.getNextRun(this.schedule, new Date(), this.timeZone);
+        if (!this.nextRun) {
+            console.warn(`⚠️ Snapshot schedule "${this.scheduleExpression}" never runs`);
+            return;
+        }
+
+        // setTimeout cannot wait longer than ~24.8 days - re-check when the timer fires early
+        const delay = Math.min(this.nextRun.getTime() - Date.now(), 2 ** 31 - 1);
+        this.timer = setTimeout(async () => {
+            if (Date.now() >= this.nextRun.getTime()) {
+                try {
+                    await this.takeSnapshots();
+                } catch (error) {
+                    console.error('❌ Scheduled snapshot failed:', error.message);
+                }
+            }
+            this.scheduleNext();
+        }, Math.max(delay, 0));
+        this.timer.unref();
+    }
+
+    // Snapshot every configured blueprint (or just `blueprints`). Concurrent calls for the same blueprints
+    // share one run; runs never overlap, so other blueprints wait for the latest run to finish.
+    takeSnapshots(blueprints = this.blueprints) {
+        const key = blueprints.join(',');
+        if (this.running && this.running.key === key) {
+            return this.running.promise;
+        }
+
+        const previous = this.running ? this.running.promise.catch(() => {}) : Promise.resolve();
+        const run = { key };
+        run.promise = previous.then(() => this.runSnapshots(blueprints)).finally(() => {
+            if (this.running === run) {
+                this.running = null;
+            }
+        });
+        this.running = run;
+        return run.promise;
+    }
+
+    async runSnapshots(blueprints) {
+        const snapshots = [];
+        const errors = [];
+
+        for (const blueprint of blueprints) {
+            try {
+                snapshots.push(await this.snapshotBlueprint(blueprint));
+            } catch (error) {
+                console.error(`❌ Snapshot of ${blueprint} failed:`, error.message);
+                errors.push({ blueprint, message: error.message });
+            }
+        }
+
+        this.lastRun = new Date().toISOString();
+        this.lastError = errors.length > 0 ? errors : null;
+        if (snapshots.length > 0) {
+            this.data.snapshots = this.data.snapshots.concat(snapshots).slice(-this.maxSnapshots);
+            this.save();
+        }
+
+        return { snapshots, errors };
+    }
+
+    async snapshotBlueprint(blueprint) {
+        const takenAt = new Date().toISOString();
+        const range = aggregation.getDateRange({ timeRange: String(this.lookbackDays), timeZone: this.timeZone });
+        const snapshot = {
+            id: crypto.randomUUID(),
+            takenAt,
+            blueprint,
+            timezone: this.timeZone,
+            range,
+            entityCount: 0,
+            metrics: {}
+        };
+
+        // Metrics sharing a start timestamp share one (cached) entity search
+        const entitiesByStart = new Map();
+        for (const definition of metricDefinitions.list(blueprint)) {
+            if (!entitiesByStart.has(definition.start)) {
+                entitiesByStart.set(definition.start, await portService.getEntities(blueprint, {
+                    rules: portService.buildSearchRules({
+                        startDate: range.start,
+                        endDate: range.end,
+                        dateProperty: definition.start
+                    })
+                }));
+            }
+
+            const result = aggregation.processEntitiesForChart(entitiesByStart.get(definition.start), {
+                range,
+                timeZone: this.timeZone,
+                bucketSize: 'day',
+                definition
+            });
+
+            snapshot.entityCount = Math.max(snapshot.entityCount, result.entityCount);
+            snapshot.metrics[definition.id] = result.summary;
+            this.storeSeries(blueprint, definition.id, result.series, takenAt);
+        }
+
+        console.log(`📸 Snapshot of ${blueprint}: ${snapshot.entityCount} entities, ${Object.keys(snapshot.metrics).length} metrics`);
+        return snapshot;
+    }
+
+    storeSeries(blueprint, metricId, series, takenAt) {
+        const blueprintSeries = this.data.series[blueprint] || (this.data.series[blueprint] = {});
+        const metricSeries = blueprintSeries[metricId] || (blueprintSeries[metricId] = {});
+
+        series.forEach(item => {
+            const stored = { snapshotAt: takenAt };
+            this.statistics.forEach(statistic => {
+                stored[statistic] = item[statistic];
+            });
+            metricSeries[item.date] = stored;
+        });
+    }
+
+    // Snapshot log, newest first
+    listSnapshots({ blueprint, limit } = {}) {
+        const snapshots = this.data.snapshots
+            .filter(snapshot => !blueprint || snapshot.blueprint === blueprint)
+            .slice()
+            .reverse();
+        return limit ? snapshots.slice(0, limit) : snapshots;
+    }
+
+    // Stored daily series for a metric within `range`, in the same shape as /api/port/chart
+    // items, plus the headline summary of every snapshot in the range
+    getHistory({ blueprint, metricId, statistic = 'median', range = {} }) {
+        const metricSeries = (this.data.series[blueprint] || {})[metricId] || {};
+        const startKey = range.start ? aggregation.getBucketKey(range.start, 'day', this.timeZone) : null;
+        const endKey = range.end ? aggregation.getBucketKey(range.end, 'day', this.timeZone) : null;
+        const inRange = key => (!startKey || key >= startKey) && (!endKey || key <= endKey);
+
+        const data = Object.keys(metricSeries)
+            .filter(inRange)
+            .sort()
+            .map(date => ({
+                date,
+                ...metricSeries[date],
+                value: metricSeries[date][statistic]
+            }));
+
+        const summaries = this.data.snapshots
+            .filter(snapshot => snapshot.blueprint === blueprint && snapshot.metrics[metricId] &&
+                inRange(aggregation.getBucketKey(new Date(snapshot.takenAt), 'day', this.timeZone)))
+            .map(snapshot => ({
+                takenAt: snapshot.takenAt,
+                entityCount: snapshot.entityCount,
+                value: snapshot.metrics[metricId][statistic],
+                summary: snapshot.metrics[metricId]
+            }));
+
+        return { data, summaries };
+    }
+
+    getStatus() {
+        return {
+            schedule: this.schedule ? this.scheduleExpression : null,
+            timezone: this.timeZone,
+            lookbackDays: this.lookbackDays,
+            blueprints: this.blueprints,
+            nextRun: this.nextRun ? this.nextRun.toISOString() : null,
+            lastRun: this.lastRun,
+            lastError: this.lastError,
+            running: Boolean(this.running),
+            snapshotCount: this.data.snapshots.length
+        };
+    }
+}
+
+module.exports = new SnapshotService();
@@ -0,0 +1,76 @@
+// Time zone helpers built on Intl, so calendar bucketing can follow a chosen IANA zone.
+// A "local date" is a Date whose UTC fields hold the wall-clock time in that zone.
+class TimeZones {
+    constructor() {
+        this.formatters = new Map();
+    }
+
+    isValid(timeZone) {
+        try {
+            this.getFormatter(timeZone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return this.formatters.get(timeZone);
+    }
+
+    // Wall-clock time of an instant in timeZone
+    toLocalDate(date, timeZone = 'UTC') {
+        const parts = {};
+        this.getFormatter(timeZone).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return new Date(Date.UTC(
+            parseInt(parts.year),
+            parseInt(parts.month) - 1,
+            parseInt(parts.day),
+            parseInt(parts.hour) % 24,
+            parseInt(parts.minute),
+            parseInt(parts.second),
+            date.getUTCMilliseconds()
+        ));
+    }
+
+    // Instant at which the wall clock in timeZone shows localDate
+    fromLocalDate(localDate, timeZone = 'UTC') {
+        const guess = new Date(localDate.getTime() - this.getOffset(localDate, timeZone));
+        // Re-check the offset at the guessed instant in case a DST change lies in between
+        return new Date(localDate.getTime() - this.getOffset(guess, timeZone));
+    }
+
+    getOffset(date, timeZone) {
+        return this.toLocalDate(date, timeZone).getTime() - date.getTime();
+    }
+
+    // Parse "YYYY-MM-DD" as midnight of that day in timeZone; full timestamps are taken as-is
+    parseDate(value, timeZone = 'UTC') {
+        const date = new Date(this.isDay(value) ? `${value}T00:00:00.000Z` : value);
+        if (isNaN(date)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return this.isDay(value) ? this.fromLocalDate(date, timeZone) : date;
+    }
+
+    isDay(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+}
+
+module.exports = new TimeZones();
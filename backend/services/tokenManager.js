@@ -1,87 +1,191 @@
 const axios = require('axios');
 
+// Tokens for one Port connection (see connections.js), refreshed independently of the others.
+// Each token's expiry comes from `expiresIn` of Port's access_token response or the JWT `exp` claim;
+// the current token is refreshed PORT_TOKEN_REFRESH_MARGIN_SECONDS before it expires.
 class TokenManager {
-    constructor() {
+    constructor({ id = 'default', baseURL, tokens = {}, clientCredentials = {} } = {}) {
+        this.id = id;
+        // API base URL of the connection's region
+        this.baseURL = baseURL;
         this.tokens = {
-            primary: process.env.PORT_API_TOKEN_PRIMARY,
-            secondary: process.env.PORT_API_TOKEN_SECONDARY,
-            service: process.env.PORT_SERVICE_TOKEN
+            primary: tokens.primary,
+            secondary: tokens.secondary,
+            service: tokens.service
         };
-        
+
         // Client credentials for programmatic token generation
         this.clientCredentials = {
-            clientId: process.env.PORT_CLIENT_ID,
-            clientSecret: process.env.PORT_CLIENT_SECRET
+            clientId: clientCredentials.clientId,
+            clientSecret: clientCredentials.clientSecret
         };
-        
-        this.currentToken = this.tokens.primary;
+
+        this.currentToken = null;
+        this.currentTokenExpiresAt = null;
+        // Where the expiry came from: expiresIn, jwt, or null when the token does not say
+        this.expirySource = null;
         this.lastRotation = Date.now();
+        this.refreshMargin = (parseInt(process.env.PORT_TOKEN_REFRESH_MARGIN_SECONDS) || 300) * 1000;
+        // Generated tokens without a known expiry are replaced on this interval instead
         this.rotationInterval = 2.5 * 60 * 60 * 1000; // 2.5 hours
-        this.isRotating = false;
-        
+        // Wait before retrying a failed proactive refresh while the current token is still valid
+        this.retryDelay = 30 * 1000;
+        this.refreshTimer = null;
+        this.nextRefresh = null;
+        // The running refresh, shared by every caller that needs a token meanwhile
+        this.refreshPromise = null;
+        // Why the last refresh left no new token in place (null after a successful one)
+        this.lastRefreshError = null;
+
         // Log token status on startup
-        console.log('🔑 Token Manager initialized:');
+        console.log(`🔑 Token Manager initialized${id === 'default' ? '' : ` (${id})`}:`);
         console.log(`   Primary Token: ${this.tokens.primary ? 'Set' : 'Not Set'}`);
         console.log(`   Secondary Token: ${this.tokens.secondary ? 'Set' : 'Not Set'}`);
         console.log(`   Service Token: ${this.tokens.service ? 'Set' : 'Not Set'}`);
         console.log(`   Client ID: ${this.clientCredentials.clientId ? 'Set' : 'Not Set'}`);
         console.log(`   Client Secret: ${this.clientCredentials.clientSecret ? 'Set' : 'Not Set'}`);
-        
-        if (!this.tokens.primary && !this.clientCredentials.clientId) {
-            console.warn('⚠️  WARNING: No token or client credentials set!');
+
+        if (!this.hasCredentials()) {
+            console.warn(`⚠️  WARNING: No token or client credentials set${id === 'default' ? '' : ` for ${id}`}!`);
             console.warn('   Set token: export PORT_API_TOKEN_PRIMARY="your_token_here"');
             console.warn('   Or set credentials: export PORT_CLIENT_ID="your_id" PORT_CLIENT_SECRET="your_secret"');
         }
-        
-        // If only client credentials are available (no primary token), generate initial token
-        if (!this.tokens.primary && this.clientCredentials.clientId && this.clientCredentials.clientSecret) {
+
+        if (this.tokens.primary) {
+            this.setCurrentToken(this.tokens.primary);
+        } else if (this.canGenerate()) {
+            // If only client credentials are available (no primary token), generate initial token.
+            // Requests made meanwhile wait for it.
             console.log('🔄 No primary token found, generating initial token from client credentials...');
-            // Call async function without await (will complete in background)
             this.initializeTokenFromCredentials().catch(err => {
                 console.error('❌ Initial token generation failed:', err.message);
             });
         }
-        
-        // Start automatic rotation
-        this.startAutoRotation();
     }
-    
+
     async initializeTokenFromCredentials() {
+        await this.rotateToken({ force: true });
+        if (!this.currentToken) {
+            console.error('   Please check that PORT_CLIENT_ID and PORT_CLIENT_SECRET are correct');
+            throw new Error('No token could be generated from the client credentials');
+        }
+        console.log('✅ Initial token generated successfully from client credentials');
+    }
+
+    // New credentials from a reloaded secret (see secretStore.js). Changed client credentials are used right away;
+    // without client credentials a changed primary token replaces the current one.
+    updateCredentials({ tokens = {}, clientCredentials = {} }) {
+        const clientChanged = clientCredentials.clientId !== this.clientCredentials.clientId ||
+            clientCredentials.clientSecret !== this.clientCredentials.clientSecret;
+        const tokensChanged = ['primary', 'secondary', 'service'].some(name => tokens[name] !== this.tokens[name]);
+        if (!clientChanged && !tokensChanged) {
+            return;
+        }
+
+        this.tokens = {
+            primary: tokens.primary,
+            secondary: tokens.secondary,
+            service: tokens.service
+        };
+        this.clientCredentials = {
+            clientId: clientCredentials.clientId,
+            clientSecret: clientCredentials.clientSecret
+        };
+        console.log(`🔐 Credentials updated${this.id === 'default' ? '' : ` for ${this.id}`}: ${[clientChanged && 'client credentials', tokensChanged && 'tokens'].filter(Boolean).join(', ')}`);
+
+        const usePrimary = !this.canGenerate() && this.tokens.primary && this.currentToken !== this.tokens.primary;
+        if ((clientChanged && this.canGenerate()) || usePrimary || !this.currentToken) {
+            // A refresh already running may still use the old credentials - start another one after it
+            Promise.resolve(this.refreshPromise).then(() => this.rotateToken({ force: true }));
+        }
+    }
+
+    hasCredentials() {
+        return Boolean(this.tokens.primary || this.clientCredentials.clientId);
+    }
+
+    canGenerate() {
+        return Boolean(this.clientCredentials.clientId && this.clientCredentials.clientSecret);
+    }
+
+    // Expiry in ms from the JWT `exp` claim; null for opaque tokens or tokens without `exp`
+    getJwtExpiry(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+
         try {
-            const newToken = await this.generateNewToken();
-            this.currentToken = newToken;
-            this.lastRotation = Date.now();
-            console.log('✅ Initial token generated successfully from client credentials');
+            const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+            return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
         } catch (error) {
-            console.error('❌ Failed to generate initial token from client credentials:', error.message);
-            console.error('   Please check that PORT_CLIENT_ID and PORT_CLIENT_SECRET are correct');
-            if (error.response) {
-                console.error('   API Response:', error.response.status, error.response.data);
+            return null;
+        }
+    }
+
+    // Unknown expiry never counts as expired
+    isExpired(expiresAt, margin = 0) {
+        return expiresAt !== null && Date.now() >= expiresAt - margin;
+    }
+
+    setCurrentToken(token, expiresAt = this.getJwtExpiry(token), expirySource = expiresAt ? 'jwt' : null) {
+        this.currentToken = token;
+        this.currentTokenExpiresAt = expiresAt;
+        this.expirySource = expirySource;
+        this.lastRotation = Date.now();
+        this.scheduleRefresh();
+    }
+
+    // One timer per manager: shortly before the current token expires, after the rotation interval
+    // for generated tokens of unknown lifetime, or `delay` ms to retry a failed refresh.
+    // Static tokens of unknown lifetime are only replaced when Port rejects them.
+    scheduleRefresh(delay) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.nextRefresh = null;
+
+        if (delay === undefined) {
+            if (this.currentTokenExpiresAt) {
+                // Tokens shorter-lived than the margin are refreshed halfway through instead
+                const margin = Math.min(this.refreshMargin, (this.currentTokenExpiresAt - this.lastRotation) / 2);
+                delay = this.currentTokenExpiresAt - margin - Date.now();
+            } else if (this.canGenerate()) {
+                delay = this.rotationInterval;
+            } else {
+                return;
             }
-            throw error;
         }
+
+        delay = Math.max(delay, 1000);
+        this.nextRefresh = Date.now() + delay;
+        this.refreshTimer = setTimeout(() => {
+            this.rotateToken({ force: true });
+        }, delay);
+        // Never keep the process alive just for a refresh
+        this.refreshTimer.unref();
     }
 
-    startAutoRotation() {
-        setInterval(() => {
-            this.rotateToken();
-        }, this.rotationInterval);
+    // The current token, refreshed first when it is missing or has expired.
+    // Callers arriving during a refresh wait for it and get the new token.
+    async getValidToken() {
+        if (this.refreshPromise) {
+            await this.refreshPromise;
+        } else if (!this.currentToken || this.isExpired(this.currentTokenExpiresAt)) {
+            await this.rotateToken();
+        }
+        return this.currentToken;
     }
 
     async validateToken(token) {
         try {
-            // Use the same region as PortService
-            const portService = require('./portService');
-            const baseURL = portService.baseURL;
-            
-            const response = await axios.get(`${baseURL}/v1/blueprints`, {
+            const response = await axios.get(`${this.baseURL}/v1/blueprints`, {
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 },
                 timeout: 10000
             });
-            
+
             return response.status === 200;
         } catch (error) {
             console.error('Token validation failed:', error.response?.status);
@@ -90,8 +194,16 @@ class TokenManager {
     }
 
     async generateNewToken() {
-        if (!this.clientCredentials.clientId || !this.clientCredentials.clientSecret) {
-            const errorMsg = 'Client credentials not configured. Set PORT_CLIENT_ID and PORT_CLIENT_SECRET.';
+        const { accessToken } = await this.requestToken();
+        return accessToken;
+    }
+
+    // Port's access_token endpoint; returns { accessToken, expiresAt, expirySource }
+    async requestToken() {
+        if (!this.canGenerate()) {
+            const errorMsg = this.id === 'default'
+                ? 'Client credentials not configured. Set PORT_CLIENT_ID and PORT_CLIENT_SECRET.'
+                : `Client credentials not configured for ${this.id}. Set clientId and clientSecret in PORT_CONNECTIONS_FILE.`;
             console.error(`❌ ${errorMsg}`);
             console.error(`   PORT_CLIENT_ID: ${this.clientCredentials.clientId ? 'Set' : 'NOT SET'}`);
             console.error(`   PORT_CLIENT_SECRET: ${this.clientCredentials.clientSecret ? 'Set' : 'NOT SET'}`);
@@ -99,13 +211,10 @@ class TokenManager {
         }
 
         try {
-            const portService = require('./portService');
-            const baseURL = portService.baseURL;
-            
-            console.log(`🔄 Generating new token from ${baseURL}/v1/auth/access_token...`);
+            console.log(`🔄 Generating new token from ${this.baseURL}/v1/auth/access_token...`);
             console.log(`   Using Client ID: ${this.clientCredentials.clientId.substring(0, 8)}...`);
-            
-            const response = await axios.post(`${baseURL}/v1/auth/access_token`, {
+
+            const response = await axios.post(`${this.baseURL}/v1/auth/access_token`, {
                 clientId: this.clientCredentials.clientId,
                 clientSecret: this.clientCredentials.clientSecret
             }, {
@@ -116,9 +225,14 @@ class TokenManager {
             });
 
             if (response.status === 200) {
-                const { accessToken, expiresIn, tokenType } = response.data;
+                const { accessToken, expiresIn } = response.data;
                 console.log(`✅ Generated new token (expires in ${expiresIn} seconds)`);
-                return accessToken;
+
+                if (expiresIn) {
+                    return { accessToken, expiresAt: Date.now() + expiresIn * 1000, expirySource: 'expiresIn' };
+                }
+                const jwtExpiry = this.getJwtExpiry(accessToken);
+                return { accessToken, expiresAt: jwtExpiry, expirySource: jwtExpiry ? 'jwt' : null };
             } else {
                 throw new Error(`Failed to generate token: ${response.status}`);
             }
@@ -137,78 +251,83 @@ class TokenManager {
         }
     }
 
-    async rotateToken() {
-        if (this.isRotating) return;
-        
-        this.isRotating = true;
-        
+    // Replace the current token. Concurrent calls share one refresh and all resolve with its result.
+    // Without `force` a current token that has not expired is kept; `force` replaces it anyway
+    // (Port rejected it, a manual rotation, or the scheduled refresh before expiry).
+    rotateToken({ force = false } = {}) {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.refreshToken(force).finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    // Never throws - the outcome is in lastRefreshError, so a scheduled refresh cannot fail unhandled
+    async refreshToken(force) {
+        const previousToken = this.currentToken;
+        let generationError = null;
+
         try {
-            // If no current token exists, try to generate one from client credentials first
-            if (!this.currentToken && this.clientCredentials.clientId && this.clientCredentials.clientSecret) {
-                console.log('🔄 No current token, generating from client credentials...');
+            if (!force && previousToken && !this.isExpired(this.currentTokenExpiresAt)) {
+                this.lastRefreshError = null;
+                return previousToken;
+            }
+
+            // Client credentials first - a freshly generated token lasts the longest
+            if (this.canGenerate()) {
                 try {
-                    const newToken = await this.generateNewToken();
-                    this.currentToken = newToken;
-                    this.lastRotation = Date.now();
-                    console.log('✅ Token generated successfully from client credentials');
-                    return;
+                    const { accessToken, expiresAt, expirySource } = await this.requestToken();
+                    this.setCurrentToken(accessToken, expiresAt, expirySource);
+                    this.lastRefreshError = null;
+                    console.log(`✅ Token refreshed from client credentials${this.describeExpiry()}`);
+                    return this.currentToken;
                 } catch (error) {
-                    console.warn('⚠️ Failed to generate token from client credentials:', error.message);
+                    generationError = error.message;
+                    console.warn('⚠️ Programmatic token generation failed, trying backup tokens');
                 }
             }
-            
-            // Test current token if it exists
-            if (this.currentToken) {
-                const isValid = await this.validateToken(this.currentToken);
-                
-                if (!isValid) {
-                    console.log('🔄 Current token invalid, attempting rotation...');
-                    
-                    // Try to generate a new token if client credentials are available
-                    if (this.clientCredentials.clientId && this.clientCredentials.clientSecret) {
-                        try {
-                            const newToken = await this.generateNewToken();
-                            this.currentToken = newToken;
-                            this.lastRotation = Date.now();
-                            console.log('✅ Token rotated successfully (programmatically generated)');
-                            return;
-                        } catch (error) {
-                            console.warn('⚠️ Programmatic token generation failed, trying backup tokens');
-                        }
-                    }
-                    
-                    // Fallback to backup token rotation
-                    const newToken = this.currentToken === this.tokens.primary 
-                        ? this.tokens.secondary 
-                        : this.tokens.primary;
-                    
-                    if (newToken && await this.validateToken(newToken)) {
-                        this.currentToken = newToken;
-                        this.lastRotation = Date.now();
-                        console.log('✅ Token rotated successfully (backup token)');
-                    } else {
-                        console.warn('⚠️ All tokens appear to be invalid');
-                    }
+            const reason = generationError ? ` (token generation failed: ${generationError})` : '';
+
+            // Static tokens: the first one that has not expired, other than the token being replaced
+            const backup = [this.tokens.primary, this.tokens.secondary]
+                .filter(token => token && token !== previousToken)
+                .find(token => !this.isExpired(this.getJwtExpiry(token)));
+
+            if (backup) {
+                this.setCurrentToken(backup);
+                this.lastRefreshError = null;
+                console.log(`✅ Token rotated successfully (${backup === this.tokens.primary ? 'primary' : 'secondary'} token)${this.describeExpiry()}`);
+            } else if (previousToken && !this.isExpired(this.currentTokenExpiresAt)) {
+                // Nothing better - keep the current token, and try generating again shortly if we can
+                console.warn('⚠️ No replacement token available, keeping the current one');
+                this.lastRefreshError = `No replacement token available, the current token is still in use${reason}`;
+                if (this.canGenerate()) {
+                    this.scheduleRefresh(this.retryDelay);
+                } else {
+                    clearTimeout(this.refreshTimer);
+                    this.nextRefresh = null;
                 }
             } else {
-                // No token and no client credentials - try backup tokens
-                if (this.tokens.primary && await this.validateToken(this.tokens.primary)) {
-                    this.currentToken = this.tokens.primary;
-                    this.lastRotation = Date.now();
-                    console.log('✅ Using primary token');
-                } else if (this.tokens.secondary && await this.validateToken(this.tokens.secondary)) {
-                    this.currentToken = this.tokens.secondary;
-                    this.lastRotation = Date.now();
-                    console.log('✅ Using secondary token');
-                } else {
-                    console.warn('⚠️ No valid tokens available');
+                console.warn('⚠️ No valid tokens available');
+                this.lastRefreshError = `No valid tokens available${reason}`;
+                this.currentToken = null;
+                this.currentTokenExpiresAt = null;
+                this.expirySource = null;
+                if (this.canGenerate()) {
+                    this.scheduleRefresh(this.retryDelay);
                 }
             }
         } catch (error) {
             console.error('Token rotation error:', error.message);
-        } finally {
-            this.isRotating = false;
+            this.lastRefreshError = error.message;
         }
+
+        return this.currentToken;
+    }
+
+    describeExpiry() {
+        return this.currentTokenExpiresAt ? ` - expires ${new Date(this.currentTokenExpiresAt).toISOString()}` : '';
     }
 
     getCurrentToken() {
@@ -216,23 +335,38 @@ class TokenManager {
     }
 
     getStatus() {
+        const toISO = time => (time ? new Date(time).toISOString() : null);
+
         return {
+            org: this.id,
             currentToken: this.currentToken ? 'Set' : 'Not Set',
             primaryToken: this.tokens.primary ? 'Set' : 'Not Set',
             secondaryToken: this.tokens.secondary ? 'Set' : 'Not Set',
             serviceToken: this.tokens.service ? 'Set' : 'Not Set',
             clientId: this.clientCredentials.clientId ? 'Set' : 'Not Set',
             clientSecret: this.clientCredentials.clientSecret ? 'Set' : 'Not Set',
+            currentTokenExpiresAt: toISO(this.currentTokenExpiresAt),
+            currentTokenExpiresIn: this.currentTokenExpiresAt
+                ? Math.max(Math.round((this.currentTokenExpiresAt - Date.now()) / 1000), 0)
+                : null,
+            expirySource: this.expirySource,
+            primaryTokenExpiresAt: toISO(this.getJwtExpiry(this.tokens.primary)),
+            secondaryTokenExpiresAt: toISO(this.getJwtExpiry(this.tokens.secondary)),
             lastRotation: new Date(this.lastRotation).toISOString(),
-            nextRotation: new Date(this.lastRotation + this.rotationInterval).toISOString(),
-            isRotating: this.isRotating
+            // When the scheduled refresh runs (null when the token is only replaced once Port rejects it)
+            nextRotation: toISO(this.nextRefresh),
+            isRotating: Boolean(this.refreshPromise)
         };
     }
 
-    // Manual rotation for API endpoint
-    manualRotate() {
-        this.rotateToken();
+    // Forced rotation that rejects when no new token could be put in place
+    async manualRotate() {
+        const token = await this.rotateToken({ force: true });
+        if (this.lastRefreshError) {
+            throw new Error(this.lastRefreshError);
+        }
+        return token;
     }
 }
 
-module.exports = new TokenManager();
+module.exports = TokenManager;
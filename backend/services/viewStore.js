@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Saved dashboard views, persisted in a local JSON file:
+// { defaultViewId, views: [{ id, name, state, createdAt, updatedAt }] }
+// `state` is the dashboard state the frontend keeps in the URL (blueprint, metric, filter, ...).
+class ViewStore {
+    constructor() {
+        this.filePath = process.env.VIEWS_FILE || path.join(__dirname, '../data/views.json');
+        // A deployment can pin its default view (id or name) regardless of the file
+        this.defaultViewOverride = process.env.PORT_DEFAULT_VIEW || null;
+        this.data = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return { defaultViewId: null, views: [] };
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            console.log(`💾 Loaded ${data.views.length} saved views from ${this.filePath}`);
+            return { defaultViewId: data.defaultViewId || null, views: data.views || [] };
+        } catch (error) {
+            console.error(`❌ Failed to load saved views from ${this.filePath}:`, error.message);
+            return { defaultViewId: null, views: [] };
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written file behind
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    list() {
+        return this.data.views;
+    }
+
+    get(id) {
+        return this.data.views.find(view => view.id === id) || null;
+    }
+
+    getDefaultId() {
+        if (this.defaultViewOverride) {
+            const view = this.data.views.find(item => item.id === this.defaultViewOverride || item.name === this.defaultViewOverride);
+            if (view) {
+                return view.id;
+            }
+        }
+        return this.get(this.data.defaultViewId) ? this.data.defaultViewId : null;
+    }
+
+    // True when a view with this name becomes the default through PORT_DEFAULT_VIEW
+    isDefaultName(name) {
+        return Boolean(this.defaultViewOverride) && typeof name === 'string' && name.trim() === this.defaultViewOverride;
+    }
+
+    create({ name, state }) {
+        this.validate({ name, state });
+
+        const now = new Date().toISOString();
+        const view = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            state: state,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.data.views.push(view);
+        this.save();
+        return view;
+    }
+
+    // Returns null when the view does not exist
+    update(id, { name, state }) {
+        const view = this.get(id);
+        if (!view) {
+            return null;
+        }
+
+        this.validate({ name: name ?? view.name, state: state ?? view.state }, id);
+        if (name !== undefined) {
+            view.name = name.trim();
+        }
+        if (state !== undefined) {
+            view.state = state;
+        }
+        view.updatedAt = new Date().toISOString();
+
+        this.save();
+        return view;
+    }
+
+    remove(id) {
+        const index = this.data.views.findIndex(view => view.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.data.views.splice(index, 1);
+        if (this.data.defaultViewId === id) {
+            this.data.defaultViewId = null;
+        }
+
+        this.save();
+        return true;
+    }
+
+    // Pass null to clear the default
+    setDefault(id) {
+        if (id !== null && !this.get(id)) {
+            return false;
+        }
+
+        this.data.defaultViewId = id;
+        this.save();
+        return true;
+    }
+
+    validate({ name, state }, id = null) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('name is required');
+        }
+
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw new Error('state must be an object');
+        }
+
+        const duplicate = this.data.views.find(view => view.id !== id && view.name.toLowerCase() === name.trim().toLowerCase());
+        if (duplicate) {
+            throw new Error(`A view named "${duplicate.name}" already exists`);
+        }
+    }
+}
+
+module.exports = new ViewStore();
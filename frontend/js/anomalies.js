@@ -0,0 +1,67 @@
+// Anomaly list - buckets flagged by /api/port/chart (anomalies=mad|zscore) with their top outlier PRs
+class AnomalyList {
+    constructor() {
+        this.section = document.getElementById('anomalySection');
+        this.summary = document.getElementById('anomalySummary');
+        this.list = document.getElementById('anomalyList');
+        // Called with { date } when a flagged bucket's heading is clicked
+        this.onSelect = null;
+    }
+
+    render(response) {
+        const detection = response.anomalyDetection;
+        if (!detection) {
+            this.hide();
+            return;
+        }
+
+        const methodLabel = detection.method === 'zscore' ? 'z-score' : 'rolling median + MAD';
+        this.summary.textContent = `${response.anomalies.length} flagged buckets · ${methodLabel}, ` +
+            `sensitivity ${detection.sensitivity}, window ${detection.window} buckets`;
+
+        this.list.innerHTML = response.anomalies.map(anomaly => {
+            const directionLabel = anomaly.direction === 'high' ? '▲ Spike' : '▼ Dip';
+            const entities = anomaly.entities.map(entity => {
+                const link = [entity.links.source, entity.links.port].find(url => html.isSafeUrl(url));
+                const identifier = link
+                    ? `<a href="${html.escape(link)}" target="_blank" rel="noopener">${html.escape(entity.identifier)}</a>`
+                    : html.escape(entity.identifier);
+                return `<li>
+                    ${identifier}
+                    ${html.escape(entity.title)}
+                    <span class="anomaly-author">${html.escape(entity.author)}</span>
+                    <span class="anomaly-hours">${entity.hours.toFixed(1)}h${entity.outlier ? ' ⚠️' : ''}</span>
+                </li>`;
+            }).join('');
+
+            return `<li class="anomaly anomaly-${anomaly.direction}">
+                <button type="button" class="anomaly-heading" data-date="${html.escape(anomaly.date)}">
+                    ${directionLabel} ${html.escape(anomaly.date)}: ${this.formatValue(anomaly.value, response.statistic)}
+                    vs ${this.formatValue(anomaly.baseline, response.statistic)} (score ${anomaly.score.toFixed(1)})
+                </button>
+                <ul class="anomaly-entities">${entities}</ul>
+            </li>`;
+        }).join('');
+
+        this.list.querySelectorAll('.anomaly-heading').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onSelect) {
+                    this.onSelect({ date: button.dataset.date });
+                }
+            });
+        });
+        this.section.style.display = '';
+    }
+
+    hide() {
+        this.section.style.display = 'none';
+        this.list.innerHTML = '';
+    }
+
+    formatValue(value, statistic) {
+        return statistic === 'count' ? `${Math.round(value)}` : `${value.toFixed(1)}h`;
+    }
+}
+
+// Global anomaly list instance
+const anomalyList = new AnomalyList();
@@ -2,6 +2,8 @@
 class ApiClient {
     constructor() {
         this.baseURL = window.location.origin + '/api';
+        // Called when an API call is answered with 401 (not signed in)
+        this.onUnauthorized = null;
     }
 
     async request(endpoint, options = {}) {
@@ -19,6 +21,11 @@ class ApiClient {
             const data = await response.json();
 
             if (!response.ok) {
+                // The session endpoints report wrong passwords with 401 themselves
+                if (response.status === 401 && !endpoint.startsWith('/session') && this.onUnauthorized) {
+                    this.onUnauthorized();
+                }
+
                 // Extract detailed error information
                 let errorMessage = data.message || `HTTP ${response.status}: ${response.statusText}`;
                 
@@ -43,6 +50,24 @@ class ApiClient {
         }
     }
 
+    // Dashboard login
+    async getSession() {
+        return this.request('/session');
+    }
+
+    async login(username, password) {
+        return this.request('/session/login', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+        });
+    }
+
+    async logout() {
+        return this.request('/session/logout', {
+            method: 'POST'
+        });
+    }
+
     // Authentication endpoints
     async validateToken(token) {
         return this.request('/auth/validate', {
@@ -62,25 +87,97 @@ class ApiClient {
     }
 
     // Port API endpoints
-    async getEntities(blueprint = 'github_pull_request') {
+    async getEntities(blueprint) {
         const params = new URLSearchParams({ blueprint });
         return this.request(`/port/entities?${params}`);
     }
 
-    async getBlueprints() {
-        return this.request('/port/blueprints');
+    async getChart(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/port/chart?${params}`);
     }
 
-    async getProperties(blueprint = 'github_pull_request') {
-        const params = new URLSearchParams({ blueprint });
+    async getKpis(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/port/kpis?${params}`);
+    }
+
+    async getDrillDown(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/port/chart/drilldown?${params}`);
+    }
+
+    // Download URL for a chart export route (/port/chart.csv, /port/chart/entities)
+    getExportUrl(endpoint, options = {}) {
+        const params = new URLSearchParams(options);
+        return `${this.baseURL}${endpoint}?${params}`;
+    }
+
+    async getOrgs() {
+        return this.request('/port/orgs');
+    }
+
+    async getBlueprints(org) {
+        const params = new URLSearchParams(org ? { org } : {});
+        return this.request(`/port/blueprints?${params}`);
+    }
+
+    async getProperties(blueprint, type, org) {
+        const params = new URLSearchParams({ blueprint, ...(type && { type }), ...(org && { org }) });
         return this.request(`/port/properties?${params}`);
     }
 
-    async getPropertyValues(property, blueprint = 'github_pull_request') {
+    async getMetrics(blueprint) {
         const params = new URLSearchParams({ blueprint });
+        return this.request(`/port/metrics?${params}`);
+    }
+
+    async getDefaults(blueprint) {
+        const params = new URLSearchParams({ blueprint });
+        return this.request(`/port/defaults?${params}`);
+    }
+
+    async getPropertyValues(property, blueprint, org) {
+        const params = new URLSearchParams({ blueprint, ...(org && { org }) });
         return this.request(`/port/values/${property}?${params}`);
     }
 
+    async getHistory(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/history?${params}`);
+    }
+
+    // Saved views
+    async getViews() {
+        return this.request('/views');
+    }
+
+    async createView(name, state, isDefault = false) {
+        return this.request('/views', {
+            method: 'POST',
+            body: JSON.stringify({ name, state, isDefault })
+        });
+    }
+
+    async updateView(id, changes) {
+        return this.request(`/views/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async deleteView(id) {
+        return this.request(`/views/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async setDefaultView(id, isDefault = true) {
+        return this.request(`/views/${encodeURIComponent(id)}/default`, {
+            method: isDefault ? 'PUT' : 'DELETE'
+        });
+    }
+
     // Health check
     async healthCheck() {
         return this.request('/health');
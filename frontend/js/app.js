@@ -1,32 +1,54 @@
 // Main application logic
 class App {
     constructor() {
-        this.rawEntities = [];
+        this.entityCount = 0;
         this.availableProperties = [];
+        this.dateProperties = [];
+        this.metricDefinitions = [];
         this.propertyValues = [];
         this.currentData = [];
+        this.currentComparison = null;
+        this.currentResponse = null;
+        this.currentChartOptions = null;
+        this.pendingKpiOptions = null;
+        // Incremented per chart request, so a slow response never replaces a newer chart
+        this.chartRequestId = 0;
+        this.defaultState = {};
+        this.isRestoringState = false;
         
         this.initializeApp();
     }
 
     initializeApp() {
+        this.addLocalTimezoneOption();
         this.setupEventListeners();
+        chartManager.onPointClick = (point) => this.showDrillDown(point);
+        anomalyList.onSelect = (point) => this.showDrillDown(point);
+        apiClient.onUnauthorized = () => session.handleUnauthorized();
+        session.onSignIn = () => this.loadData();
         this.updateStatus('Loading data...');
         
-        // Auto-load data on startup
-        this.loadData();
+        // Auto-load data on startup, once someone is signed in
+        this.start();
     }
 
+    async start() {
+        try {
+            if (await session.load()) {
+                await this.loadData();
+            } else {
+                this.updateStatus('🔐 Sign in to load data');
+            }
+        } catch (error) {
+            console.error('Session error:', error);
+            this.showError(`Failed to check the session: ${error.message}`);
+        }
+    }
+
+    // The controls call the global functions below from their inline handlers
     setupEventListeners() {
-        // Chart controls
-        document.getElementById('chartType').addEventListener('change', () => this.updateChart());
-        document.getElementById('metric').addEventListener('change', () => this.updateChart());
-        document.getElementById('timeRange').addEventListener('change', () => this.updateChart());
-        document.getElementById('chartStatistic').addEventListener('change', () => this.updateChart());
-        
-        // Filter controls
-        document.getElementById('jsonProperty').addEventListener('change', () => this.updatePropertyValues());
-        document.getElementById('propertyValue').addEventListener('change', () => this.updateSelectionDisplay());
+        // Back/forward restores the dashboard state stored in the history entry
+        window.addEventListener('popstate', (event) => this.restoreState(event.state || urlState.parse()));
     }
 
     async loadData() {
@@ -40,24 +62,41 @@ class App {
             await apiClient.validateToken();
             console.log('Token validated successfully');
             
-            console.log('Loading entities...');
-            // Load entities
-            const response = await apiClient.getEntities('github_pull_request');
-            console.log('Entities loaded:', response.data.length);
-            this.rawEntities = response.data;
+            await this.loadOrgs();
             
-            console.log('Extracting properties...');
-            // Extract properties
-            const propertiesResponse = await apiClient.getProperties('github_pull_request');
-            console.log('Properties extracted:', propertiesResponse.data.length);
-            this.availableProperties = propertiesResponse.data;
+            // Saved views are optional - the dashboard works without them
+            try {
+                await viewSwitcher.load();
+            } catch (error) {
+                console.warn('Saved views unavailable:', error.message);
+            }
+
+            // A shared link may point at another blueprint; without one, open the default view
+            let state = urlState.parse();
+            let layout = null;
+            const defaultView = viewSwitcher.getDefault();
+            if (Object.keys(state).length === 0 && defaultView) {
+                ({ dashboard: layout, ...state } = defaultView.state);
+                viewSwitcher.markSelected(defaultView.id);
+            }
+            this.selectOrg(state.org || this.defaultOrg);
+            await this.loadBlueprints();
+            this.selectBlueprint(state.blueprint || this.defaultBlueprint);
+            await this.loadBlueprint();
             
-            // Initialize UI
-            this.populateJsonPropertyDropdown();
-            this.updatePropertyValues();
-            this.updateChart();
+            // Restore state from a shared link once the dropdowns are populated
+            await this.applyState(state);
+            dashboard.load(layout);
+            await this.updateChart({ history: 'replace' });
+            await dashboard.renderInactivePanels();
             
-            this.updateStatus(`✅ Loaded ${this.rawEntities.length} entities with ${this.availableProperties.length} properties`);
+            // The snapshot history status from updateChart is kept as is
+            if (!this.currentResponse || this.currentResponse.source !== 'history') {
+                this.updateStatus(
+                    `✅ Loaded ${this.entityCount} entities with ${this.availableProperties.length} properties`,
+                    this.currentComparison
+                );
+            }
             console.log('Data loading completed successfully');
             
         } catch (error) {
@@ -69,6 +108,366 @@ class App {
     }
 
 
+    // Port orgs configured on the backend; the selector is only shown when there is more than one
+    async loadOrgs() {
+        const response = await apiClient.getOrgs();
+        const dropdown = document.getElementById('org');
+        dropdown.innerHTML = '';
+
+        response.data.forEach(org => {
+            const option = document.createElement('option');
+            option.value = org.id;
+            option.textContent = `${org.name} (${org.region.toUpperCase()})`;
+            dropdown.appendChild(option);
+        });
+        if (response.data.length > 1) {
+            const option = document.createElement('option');
+            option.value = 'all';
+            option.textContent = 'All orgs (combined)';
+            dropdown.appendChild(option);
+        }
+
+        this.defaultOrg = response.defaultOrg;
+        dropdown.value = this.defaultOrg;
+        document.querySelector('.org-options').style.display = response.data.length > 1 ? '' : 'none';
+    }
+
+    getOrg() {
+        return document.getElementById('org').value;
+    }
+
+    // Orgs missing from the list (e.g. removed from the backend config) fall back to the default org
+    selectOrg(org) {
+        const dropdown = document.getElementById('org');
+        dropdown.value = Array.from(dropdown.options).some(option => option.value === org) ? org : this.defaultOrg;
+    }
+
+    // Blueprints of the selected org (of every org when combined)
+    async loadBlueprints() {
+        console.log('Loading blueprints...');
+        const blueprint = this.getBlueprint();
+        const blueprintsResponse = await apiClient.getBlueprints(this.getOrg());
+        this.defaultBlueprint = blueprintsResponse.defaultBlueprint;
+        this.populateBlueprintDropdown(blueprintsResponse.data);
+        if (blueprint) {
+            this.selectBlueprint(blueprint);
+        }
+    }
+
+    async changeOrg() {
+        this.showLoading();
+        this.hideError();
+
+        try {
+            await this.loadBlueprints();
+            await this.loadBlueprint();
+            await this.updateChart();
+        } catch (error) {
+            console.error('Org change error:', error);
+            this.showError(`Failed to load org: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Load properties, metric definitions and defaults for the selected blueprint
+    async loadBlueprint() {
+        const blueprint = this.getBlueprint();
+        const org = this.getOrg();
+        
+        console.log(`Extracting properties for ${blueprint}...`);
+        // Extract properties, metric definitions and the date properties a custom metric can use
+        const [propertiesResponse, datePropertiesResponse, metricsResponse, defaultsResponse] = await Promise.all([
+            apiClient.getProperties(blueprint, undefined, org),
+            apiClient.getProperties(blueprint, 'date', org),
+            apiClient.getMetrics(blueprint),
+            apiClient.getDefaults(blueprint)
+        ]);
+        console.log('Properties extracted:', propertiesResponse.data.length);
+        this.availableProperties = propertiesResponse.data;
+        this.dateProperties = datePropertiesResponse.data;
+        this.metricDefinitions = metricsResponse.data;
+        
+        chartManager.titlePrefix = this.getBlueprintTitle(blueprint);
+        
+        // Initialize UI
+        this.populateMetricDropdown(metricsResponse.defaultMetric);
+        this.populateJsonPropertyDropdown();
+        this.populateGroupByDropdown();
+        filterBuilder.setProperties(this.availableProperties, blueprint, org);
+        filterBuilder.clear();
+        this.applyBlueprintDefaults(defaultsResponse.data);
+        this.toggleCustomMetricControls();
+        await this.updatePropertyValues();
+        this.updateSelectionDisplay();
+        
+        // Values equal to these defaults are left out of the URL
+        this.defaultState = { ...this.getState(), blueprint: this.defaultBlueprint, org: this.defaultOrg };
+    }
+
+    async changeBlueprint() {
+        this.showLoading();
+        this.hideError();
+
+        try {
+            await this.loadBlueprint();
+            await this.updateChart();
+        } catch (error) {
+            console.error('Blueprint change error:', error);
+            this.showError(`Failed to load blueprint: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    getBlueprint() {
+        return document.getElementById('blueprint').value;
+    }
+
+    // Chart title prefix, e.g. "Port Pull Request Analytics"
+    getBlueprintTitle(blueprint) {
+        const option = Array.from(document.getElementById('blueprint').options)
+            .find(blueprintOption => blueprintOption.value === blueprint);
+        return `Port ${option ? option.textContent : blueprint} Analytics`;
+    }
+
+    selectBlueprint(blueprint) {
+        const dropdown = document.getElementById('blueprint');
+        if (!Array.from(dropdown.options).some(option => option.value === blueprint)) {
+            // Blueprints missing from the list (e.g. no permission to list them) can still be charted
+            const option = document.createElement('option');
+            option.value = blueprint;
+            option.textContent = blueprint;
+            dropdown.appendChild(option);
+        }
+        dropdown.value = blueprint;
+    }
+
+    populateBlueprintDropdown(blueprints) {
+        const dropdown = document.getElementById('blueprint');
+        dropdown.innerHTML = '';
+
+        blueprints.forEach(blueprint => {
+            const option = document.createElement('option');
+            option.value = blueprint.identifier;
+            option.textContent = blueprint.title || blueprint.identifier;
+            dropdown.appendChild(option);
+        });
+    }
+
+    applyBlueprintDefaults(defaults) {
+        const setIfAvailable = (id, value) => {
+            const element = document.getElementById(id);
+            if (value !== undefined && Array.from(element.options).some(option => option.value === value)) {
+                element.value = value;
+            }
+        };
+
+        setIfAvailable('groupBy', defaults.groupBy);
+        setIfAvailable('chartStatistic', defaults.statistic);
+        document.getElementById('jsonProperty').value = 'default';
+    }
+
+    populateMetricDropdown(defaultMetric) {
+        const dropdown = document.getElementById('metric');
+        dropdown.innerHTML = '';
+
+        this.metricDefinitions.forEach(definition => {
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = definition.label;
+            option.title = `${definition.start} → ${definition.end}`;
+            dropdown.appendChild(option);
+        });
+
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = 'Custom…';
+        dropdown.appendChild(customOption);
+        dropdown.value = defaultMetric;
+
+        ['metricStart', 'metricEnd'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            this.dateProperties.forEach(property => {
+                const option = document.createElement('option');
+                option.value = property;
+                option.textContent = property;
+                select.appendChild(option);
+            });
+        });
+
+        // Preselect the default definition's timestamps for the custom metric
+        const defaultDefinition = this.metricDefinitions.find(definition => definition.id === defaultMetric);
+        if (defaultDefinition) {
+            document.getElementById('metricStart').value = defaultDefinition.start;
+            document.getElementById('metricEnd').value = defaultDefinition.end;
+        }
+    }
+
+    // Offer the browser's own time zone if it is not in the list already
+    addLocalTimezoneOption() {
+        const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const dropdown = document.getElementById('timezone');
+        if (!localZone || Array.from(dropdown.options).some(option => option.value === localZone)) {
+            return;
+        }
+
+        const option = document.createElement('option');
+        option.value = localZone;
+        option.textContent = `${localZone} (local)`;
+        dropdown.appendChild(option);
+    }
+
+    updateChartTypeControls() {
+        this.toggleHistogramControls();
+        this.updateChart();
+    }
+
+    toggleHistogramControls() {
+        const isHistogram = document.getElementById('chartType').value === 'histogram';
+        document.querySelectorAll('.histogram-options').forEach(element => {
+            element.style.display = isHistogram ? '' : 'none';
+        });
+    }
+
+    updateStatisticControls() {
+        this.togglePercentileControls();
+        this.updateChart();
+    }
+
+    togglePercentileControls() {
+        const isCustom = document.getElementById('chartStatistic').value === 'customPercentile';
+        document.querySelectorAll('.custom-percentile').forEach(element => {
+            element.style.display = isCustom ? '' : 'none';
+        });
+    }
+
+    // The statistic sent to the backend - a custom percentile becomes "pNN"
+    getStatistic(state = this.getState()) {
+        const statistic = state.chartStatistic;
+        if (statistic !== 'customPercentile') {
+            return statistic;
+        }
+
+        const percentile = parseFloat(state.percentile);
+        return percentile > 0 && percentile < 100 ? `p${percentile}` : 'median';
+    }
+
+    updateAnomalyControls() {
+        this.toggleAnomalyControls();
+        this.updateChart();
+    }
+
+    toggleAnomalyControls() {
+        const isEnabled = document.getElementById('anomalies').value !== 'none';
+        document.querySelectorAll('.anomaly-options').forEach(element => {
+            element.style.display = isEnabled ? '' : 'none';
+        });
+    }
+
+    updateTimeRangeControls() {
+        this.toggleCustomRangeControls();
+        this.updateChart();
+    }
+
+    toggleCustomRangeControls() {
+        const isCustom = document.getElementById('timeRange').value === 'custom';
+        document.querySelectorAll('.custom-range').forEach(element => {
+            element.style.display = isCustom ? '' : 'none';
+        });
+
+        // Start the custom range from the last 30 days
+        if (isCustom && !document.getElementById('startDate').value) {
+            const today = new Date();
+            const start = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+            document.getElementById('startDate').value = start.toISOString().split('T')[0];
+            document.getElementById('endDate').value = today.toISOString().split('T')[0];
+        }
+    }
+
+    updateMetricControls() {
+        this.toggleCustomMetricControls();
+        this.updateChart();
+    }
+
+    toggleCustomMetricControls() {
+        const isCustom = document.getElementById('metric').value === 'custom';
+        document.querySelectorAll('.custom-metric').forEach(element => {
+            element.style.display = isCustom ? '' : 'none';
+        });
+    }
+
+    // Current control values and filter expression
+    getState() {
+        const state = {};
+        urlState.controls.forEach(control => {
+            state[control] = document.getElementById(control).value;
+        });
+
+        const filter = filterBuilder.getExpression();
+        if (filter) {
+            state.filter = filter;
+        }
+
+        return state;
+    }
+
+    // Set the controls from a state object; values missing from a dropdown are skipped
+    async applyState(state) {
+        const setControl = (control) => {
+            if (state[control] === undefined) {
+                return;
+            }
+            const element = document.getElementById(control);
+            const hasOption = element.tagName !== 'SELECT' ||
+                Array.from(element.options).some(option => option.value === state[control]);
+            if (hasOption) {
+                element.value = state[control];
+            } else {
+                console.warn(`Ignoring unknown ${control} value from URL: ${state[control]}`);
+            }
+        };
+
+        // The org and blueprint are switched by loadBlueprint() before the rest of the state is applied
+        urlState.controls
+            .filter(control => control !== 'propertyValue' && control !== 'blueprint' && control !== 'org')
+            .forEach(control => setControl(control));
+        this.toggleCustomMetricControls();
+        this.toggleCustomRangeControls();
+        this.toggleHistogramControls();
+        this.togglePercentileControls();
+        this.toggleAnomalyControls();
+
+        // Property values are loaded for the restored property before selecting one
+        await this.updatePropertyValues();
+        setControl('propertyValue');
+        this.updateSelectionDisplay();
+
+        filterBuilder.setExpression(state.filter || null);
+    }
+
+    async restoreState(state) {
+        this.isRestoringState = true;
+        try {
+            const org = state.org || this.defaultOrg;
+            const blueprint = state.blueprint || this.defaultBlueprint;
+            const orgChanged = org !== this.getOrg();
+            if (orgChanged) {
+                this.selectOrg(org);
+                await this.loadBlueprints();
+            }
+            if (orgChanged || blueprint !== this.getBlueprint()) {
+                this.selectBlueprint(blueprint);
+                await this.loadBlueprint();
+            }
+            await this.applyState({ ...this.defaultState, filter: null, ...state });
+            await this.updateChart({ history: 'none' });
+        } finally {
+            this.isRestoringState = false;
+        }
+    }
+
     populateJsonPropertyDropdown() {
         const dropdown = document.getElementById('jsonProperty');
         dropdown.innerHTML = '<option value="default">Default Metrics</option>';
@@ -81,6 +480,18 @@ class App {
         });
     }
 
+    populateGroupByDropdown() {
+        const dropdown = document.getElementById('groupBy');
+        dropdown.innerHTML = '<option value="none">No Grouping</option>';
+
+        this.availableProperties.forEach(property => {
+            const option = document.createElement('option');
+            option.value = property;
+            option.textContent = property;
+            dropdown.appendChild(option);
+        });
+    }
+
     async updatePropertyValues() {
         const jsonProperty = document.getElementById('jsonProperty').value;
         const dropdown = document.getElementById('propertyValue');
@@ -91,7 +502,7 @@ class App {
         }
 
         try {
-            const response = await apiClient.getPropertyValues(jsonProperty, 'github_pull_request');
+            const response = await apiClient.getPropertyValues(jsonProperty, this.getBlueprint(), this.getOrg());
             
             dropdown.innerHTML = '<option value="all">All Values</option>';
             response.data.forEach(value => {
@@ -113,7 +524,7 @@ class App {
         const display = document.getElementById('selectionDisplay');
         
         if (jsonProperty === 'default') {
-            display.value = 'Default metrics (hours, count, avgHours)';
+            display.value = 'No property filter';
         } else if (propertyValue === 'all') {
             display.value = `${jsonProperty} = All Values`;
         } else {
@@ -125,175 +536,418 @@ class App {
         this.updateChart();
     }
 
+    addFilterCondition() {
+        filterBuilder.addCondition();
+    }
+
     clearFilter() {
         document.getElementById('propertyValue').value = 'all';
+        filterBuilder.clear();
         this.updateSelectionDisplay();
         this.updateChart();
     }
 
-    async updateChart() {
-        if (this.rawEntities.length === 0) {
-            chartManager.showEmptyChart();
-            return;
+    // Query parameters for /api/port/chart (and its exports) from a control state - the current
+    // controls by default, or a dashboard panel's state. Null for snapshot history, which has no live query.
+    getChartOptions(state = this.getState()) {
+        if (state.source === 'history') {
+            return null;
         }
 
-        const chartType = document.getElementById('chartType').value;
-        const metric = document.getElementById('metric').value;
-        const timeRange = document.getElementById('timeRange').value;
-        const chartStatistic = document.getElementById('chartStatistic').value;
-        const jsonProperty = document.getElementById('jsonProperty').value;
-        const propertyValue = document.getElementById('propertyValue').value;
+        const { metric, openHandling, timeRange, compare, anomalies, groupBy, chartType, filter } = state;
 
-        try {
-            let filteredEntities = this.rawEntities;
+        return {
+            blueprint: state.blueprint,
+            // Links and views from before multi-org support have no `org` (the default org)
+            ...(state.org && { org: state.org }),
+            metric,
+            ...(metric === 'custom' && {
+                start: state.metricStart,
+                end: state.metricEnd
+            }),
+            ...(openHandling && { open: openHandling }),
+            timeRange,
+            ...(timeRange === 'custom' && {
+                startDate: state.startDate,
+                endDate: state.endDate
+            }),
+            timezone: state.timezone,
+            ...(compare !== 'none' && { compare }),
+            // Saved views from before anomaly detection have no `anomalies`
+            ...(anomalies && anomalies !== 'none' && {
+                anomalies,
+                ...(state.sensitivity && { sensitivity: state.sensitivity })
+            }),
+            jsonProperty: state.jsonProperty,
+            propertyValue: state.propertyValue,
+            ...(filter && { filter: JSON.stringify(filter) }),
+            statistic: this.getStatistic(state),
+            bucket: state.bucketSize,
+            ...(groupBy !== 'none' && {
+                groupBy,
+                topN: state.topN,
+                other: state.groupOther
+            }),
+            // Distribution views need the per-bucket box plots or the histogram bins from the backend
+            ...(chartType === 'boxplot' && { distribution: 'boxplot' }),
+            ...(chartType === 'histogram' && {
+                distribution: 'histogram',
+                bins: state.histogramBins,
+                scale: state.histogramScale
+            })
+        };
+    }
+
+    // Query parameters for /api/history - snapshots only keep the preset metrics, unfiltered
+    getHistoryOptions(state) {
+        return {
+            blueprint: state.blueprint,
+            metric: state.metric,
+            statistic: this.getStatistic(state),
+            timeRange: state.timeRange,
+            ...(state.timeRange === 'custom' && {
+                startDate: state.startDate,
+                endDate: state.endDate
+            })
+        };
+    }
+
+    // `chartOptions` is getChartOptions(state) - null loads the snapshot history instead
+    fetchChart(state, chartOptions) {
+        return chartOptions
+            ? apiClient.getChart(chartOptions)
+            : apiClient.getHistory(this.getHistoryOptions(state));
+    }
+
+    // Draw a /api/port/chart or /api/history response with `manager`; returns false when there is no data
+    renderChart(manager, response, state) {
+        const chartData = response.data;
+        if (chartData.length === 0) {
+            manager.showEmptyChart();
+            return false;
+        }
+
+        if (response.source === 'history') {
+            // Stored daily buckets have no entities for distributions or groups
+            const chartType = state.chartType === 'bar' ? 'bar' : 'line';
+            manager.updateChart(chartData, chartType, response.metric, this.getStatistic(state));
+        } else if (state.chartType === 'histogram') {
+            manager.showHistogram(response.histogram, response.metric);
+        } else if (state.chartType === 'boxplot') {
+            manager.showBoxPlot(chartData, response.metric);
+        } else {
+            manager.updateChart(chartData, state.chartType, response.metric, this.getStatistic(state), response.groups, response.comparison, response.anomalies);
+        }
+        return true;
+    }
 
-            // Apply time range filter
-            filteredEntities = this.filterDataByTimeRange(filteredEntities, timeRange);
+    // The chart the controls currently edit - the main chart or the active dashboard panel
+    getActiveChartManager() {
+        return dashboard.enabled ? dashboard.getActivePanel().manager : chartManager;
+    }
+
+    // history: 'push' adds a browser history entry for the new state, 'replace' rewrites the current one
+    async updateChart({ history = 'push' } = {}) {
+        const state = this.getState();
+        if (history === 'push' && !this.isRestoringState) {
+            urlState.push(state, this.defaultState);
+        } else if (history === 'replace') {
+            urlState.replace(state, this.defaultState);
+        }
+
+        // In dashboard mode the controls edit the active panel; a shared time range redraws the others too
+        const activePanel = dashboard.enabled ? dashboard.getActivePanel() : null;
+        if (activePanel) {
+            dashboard.updateActivePanel(state).forEach(panel => dashboard.renderPanel(panel));
+        }
 
-            // Apply property filter
-            if (jsonProperty !== 'default' && propertyValue !== 'all') {
-                filteredEntities = filteredEntities.filter(entity => {
-                    const value = this.getPropertyValue(entity, jsonProperty);
-                    return String(value) === propertyValue;
-                });
+        const requestId = ++this.chartRequestId;
+        try {
+            // Filtering and statistics are computed by the backend
+            const chartOptions = this.getChartOptions(state);
+            // KPI cards load alongside the chart and fail on their own; they only cover live data
+            if (chartOptions) {
+                this.updateKpis(chartOptions);
+            } else {
+                this.pendingKpiOptions = null;
+                kpiPanel.hide();
+            }
+            const response = await this.fetchChart(state, chartOptions);
+            if (requestId !== this.chartRequestId) {
+                return;
             }
+            this.currentChartOptions = chartOptions;
+            this.currentResponse = response;
+            const chartData = response.data;
+            this.entityCount = response.entityCount;
+            this.currentData = chartData;
+            this.currentComparison = response.comparison || null;
+            // The open drill-down belongs to the previous chart
+            drillDownTable.hide();
+            anomalyList.render(response);
 
-            // Process data for chart
-            const chartData = this.processEntitiesForChart(filteredEntities, chartStatistic);
+            let hasData;
+            if (activePanel) {
+                activePanel.chartOptions = chartOptions;
+                dashboard.showResponse(activePanel, response);
+                hasData = chartData.length > 0;
+            } else {
+                hasData = this.renderChart(chartManager, response, state);
+            }
 
-            if (chartData.length === 0) {
-                chartManager.showEmptyChart();
+            if (response.source === 'history') {
+                this.updateStatus(hasData
+                    ? `📜 Showing ${chartData.length} days of snapshot history from ${response.snapshotCount} snapshots`
+                    : '⚠️ No snapshot history for this metric and range yet');
+            } else if (!hasData) {
                 this.updateStatus('⚠️ No data matches the current filter');
             } else {
-                chartManager.updateChart(chartData, chartType, metric, chartStatistic);
-                this.updateStatus(`📊 Chart updated with ${chartData.length} data points`);
+                const excludedText = response.excludedCount > 0
+                    ? ` (${response.excludedCount} without ${response.metric.end} excluded)`
+                    : '';
+                const filterText = response.filterDescription ? ` matching ${response.filterDescription}` : '';
+                this.updateStatus(
+                    `📊 Chart updated with ${chartData.length} data points from ${response.entityCount} entities${filterText}${excludedText}`,
+                    response.comparison
+                );
             }
 
         } catch (error) {
+            if (requestId !== this.chartRequestId) {
+                return;
+            }
             console.error('Chart update error:', error);
             this.showError(`Chart update failed: ${error.message}`);
         }
     }
 
-    processEntitiesForChart(entities, statistic = 'median') {
-        // Map entities to chart data with hours calculation
-        const entityData = entities.map(entity => {
-            const createdAt = new Date(entity.createdAt);
-            const updatedAt = new Date(entity.updatedAt);
-            const hours = Math.abs(updatedAt - createdAt) / (1000 * 60 * 60);
+    // `comparison` (optional) is the /api/port/chart comparison block; its deltas are listed below the message.
+    // The message is plain text - it may contain filter values from a shared link.
+    updateStatus(message, comparison = null) {
+        const statusDisplay = document.getElementById('statusDisplay');
+        statusDisplay.innerHTML = comparison ? this.formatDeltas(comparison) : '';
+        const paragraph = document.createElement('p');
+        paragraph.textContent = message;
+        statusDisplay.prepend(paragraph);
+    }
 
-            return {
-                date: createdAt.toISOString().split('T')[0],
-                hours: hours,
-                count: 1,
-                avgHours: hours
-            };
-        });
+    formatDeltas(comparison) {
+        const labels = {
+            count: 'Count',
+            median: 'Median',
+            p95: 'p95'
+        };
+        const periodLabel = comparison.mode === 'lastYear' ? 'same period last year' : 'previous period';
+        const formatValue = (key, value) => key === 'count' ? `${value}` : `${value.toFixed(1)}h`;
 
-        // Group by date and collect all hours values for statistics
-        const groupedData = {};
-        entityData.forEach(item => {
-            if (!groupedData[item.date]) {
-                groupedData[item.date] = {
-                    date: item.date,
-                    hours: 0,
-                    count: 0,
-                    avgHours: 0,
-                    hoursArray: [] // Store all hours values for statistics
-                };
+        const items = Object.entries(comparison.deltas).map(([key, delta]) => {
+            const sign = delta.change > 0 ? '+' : '';
+            const percentText = delta.percentChange === null
+                ? 'n/a'
+                : `${sign}${delta.percentChange.toFixed(1)}%`;
+            // Lower durations are an improvement; a change in count is neither good nor bad
+            let trend = 'neutral';
+            if (key !== 'count' && delta.change !== 0) {
+                trend = delta.change < 0 ? 'better' : 'worse';
             }
-            groupedData[item.date].hours += item.hours;
-            groupedData[item.date].count += item.count;
-            groupedData[item.date].hoursArray.push(item.hours);
-        });
 
-        // Calculate statistics for each day
-        Object.values(groupedData).forEach(item => {
-            const sortedHours = [...item.hoursArray].sort((a, b) => a - b);
-            const count = sortedHours.length;
+            return `<li class="delta delta-${trend}">
+                <span class="delta-label">${html.escape(labels[key] || key)}</span>
+                <span class="delta-value">${formatValue(key, delta.current)}</span>
+                <span class="delta-change">${percentText}</span>
+                <span class="delta-previous">vs ${formatValue(key, delta.previous)}</span>
+            </li>`;
+        }).join('');
 
-            // Average (timer-based)
-            item.average = item.hours / item.count;
+        return `<p>Compared with the ${periodLabel}:</p><ul class="deltas">${items}</ul>`;
+    }
 
-            // Median (middle value)
-            if (count === 0) {
-                item.median = 0;
-            } else if (count % 2 === 0) {
-                item.median = (sortedHours[count / 2 - 1] + sortedHours[count / 2]) / 2;
-            } else {
-                item.median = sortedHours[Math.floor(count / 2)];
+    async updateKpis(chartOptions) {
+        this.pendingKpiOptions = chartOptions;
+        try {
+            const response = await apiClient.getKpis(chartOptions);
+            // Skip responses for controls that have changed since
+            if (this.pendingKpiOptions === chartOptions) {
+                kpiPanel.render(response);
             }
+        } catch (error) {
+            console.error('KPI update error:', error);
+            kpiPanel.hide();
+        }
+    }
 
-            // p50 (50th percentile) - same as median
-            item.p50 = item.median;
+    async selectView() {
+        const view = viewSwitcher.getSelected();
+        viewSwitcher.updateButtons();
+        if (!view) {
+            return;
+        }
 
-            // p95 (95th percentile)
-            if (count === 0) {
-                item.p95 = 0;
-            } else {
-                const index = Math.ceil(count * 0.95) - 1;
-                item.p95 = sortedHours[Math.min(index, count - 1)];
+        try {
+            const { dashboard: layout, ...state } = view.state;
+            dashboard.load(layout);
+            await this.restoreState(state);
+            await dashboard.renderInactivePanels();
+            urlState.push(this.getState(), this.defaultState);
+            this.updateStatus(`📌 Loaded view "${view.name}"`, this.currentComparison);
+        } catch (error) {
+            console.error('View load error:', error);
+            this.showError(`Failed to load view: ${error.message}`);
+        }
+    }
+
+    async saveView() {
+        try {
+            const view = await viewSwitcher.saveAs(this.getViewState());
+            if (view) {
+                this.updateStatus(`💾 Saved view "${view.name}"`);
             }
+        } catch (error) {
+            console.error('View save error:', error);
+            this.showError(`Failed to save view: ${error.message}`);
+        }
+    }
 
-            // Keep existing fields for backward compatibility
-            item.avgHours = item.average;
-        });
+    async updateView() {
+        try {
+            const view = await viewSwitcher.updateSelected(this.getViewState());
+            this.updateStatus(`💾 Updated view "${view.name}"`);
+        } catch (error) {
+            console.error('View update error:', error);
+            this.showError(`Failed to update view: ${error.message}`);
+        }
+    }
 
-        // Select the statistic value based on the parameter
-        const result = Object.values(groupedData).map(item => ({
-            date: item.date,
-            hours: item.hours,
-            count: item.count,
-            avgHours: item.average,
-            median: item.median,
-            average: item.average,
-            p50: item.p50,
-            p95: item.p95,
-            // Use the selected statistic as the primary value
-            value: item[statistic] || item.median
-        }));
+    async deleteView() {
+        try {
+            if (await viewSwitcher.deleteSelected()) {
+                this.updateStatus('🗑️ View deleted');
+            }
+        } catch (error) {
+            console.error('View delete error:', error);
+            this.showError(`Failed to delete view: ${error.message}`);
+        }
+    }
 
-        return result.sort((a, b) => new Date(a.date) - new Date(b.date));
+    async toggleDefaultView() {
+        try {
+            await viewSwitcher.toggleDefault();
+        } catch (error) {
+            console.error('Default view error:', error);
+            this.showError(`Failed to change the default view: ${error.message}`);
+        }
     }
 
-    filterDataByTimeRange(data, timeRange) {
-        const days = parseInt(timeRange);
-        if (isNaN(days)) {
-            return data;
+    // Saved view state - the controls, plus the panel layout in dashboard mode
+    getViewState() {
+        return {
+            ...this.getState(),
+            ...(dashboard.enabled && { dashboard: dashboard.getLayout() })
+        };
+    }
+
+    async changeLayoutMode() {
+        const mode = document.getElementById('layoutMode').value;
+        if (mode === 'dashboard') {
+            dashboard.enable(this.getState());
+        } else {
+            // The main chart keeps the active panel's settings
+            dashboard.disable();
         }
-        
-        // Filter by actual date range (last N days)
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        
-        return data.filter(item => {
-            const itemDate = new Date(item.createdAt);
-            return itemDate >= cutoffDate;
-        });
+        await this.updateChart({ history: 'none' });
     }
 
-    getPropertyValue(entity, propertyPath) {
-        const keys = propertyPath.split('.');
-        let current = entity;
-        
-        for (const key of keys) {
-            if (current && typeof current === 'object' && key in current) {
-                current = current[key];
-            } else {
-                return null;
-            }
+    // New panels start as a copy of the active one
+    async addPanel() {
+        dashboard.addPanel(this.getState());
+        await this.updateChart({ history: 'none' });
+    }
+
+    // Load a panel's state into the controls so they edit that panel
+    async selectPanel(id) {
+        const panel = dashboard.getPanel(id);
+        if (!panel || id === dashboard.activeId) {
+            return;
+        }
+
+        try {
+            dashboard.setActive(id);
+            await this.restoreState(panel.state);
+            urlState.push(this.getState(), this.defaultState);
+        } catch (error) {
+            console.error('Panel select error:', error);
+            this.showError(`Failed to select panel: ${error.message}`);
+        }
+    }
+
+    async removePanel(id) {
+        const wasActive = id === dashboard.activeId;
+        const activePanel = dashboard.removePanel(id);
+        if (activePanel && wasActive) {
+            await this.restoreState(activePanel.state);
+        }
+    }
+
+    async toggleSharedTimeRange() {
+        dashboard.sharedTimeRange = document.getElementById('sharedTimeRange').checked;
+        if (dashboard.sharedTimeRange) {
+            // Bring the other panels in line with the active one
+            await this.updateChart({ history: 'none' });
+        }
+    }
+
+    // Entities behind a clicked bucket, with the same parameters (and filters) as the chart
+    // that was clicked - the main chart or a dashboard panel
+    async showDrillDown({ date, group }, chartOptions = this.currentChartOptions) {
+        if (!chartOptions) {
+            return;
+        }
+
+        try {
+            const response = await apiClient.getDrillDown({
+                ...chartOptions,
+                date,
+                ...(group !== undefined && { group })
+            });
+            drillDownTable.show(response);
+        } catch (error) {
+            console.error('Drill-down error:', error);
+            this.showError(`Drill-down failed: ${error.message}`);
         }
-        
-        return current;
     }
 
-    updateStatus(message) {
-        document.getElementById('statusDisplay').innerHTML = `<p>${message}</p>`;
+    // format: csv | json | entities-csv | entities-json | png | svg
+    async exportChart(format) {
+        if (!this.currentResponse) {
+            this.showError('Nothing to export yet - load the chart first');
+            return;
+        }
+
+        if (!this.currentChartOptions && (format === 'csv' || format.startsWith('entities-'))) {
+            this.showError('CSV and entity exports are only available for live data');
+            return;
+        }
+
+        try {
+            if (format === 'png' || format === 'svg') {
+                await chartExporter.exportImage(format, this.currentResponse, this.getActiveChartManager());
+            } else if (format.startsWith('entities-')) {
+                chartExporter.exportEntities(format.replace('entities-', ''), this.currentResponse, this.currentChartOptions);
+            } else {
+                chartExporter.exportSeries(format, this.currentResponse, this.currentChartOptions);
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showError(`Export failed: ${error.message}`);
+        }
     }
 
+    // Messages often quote the server's error, so they are set as text
     showError(message) {
         const errorDisplay = document.getElementById('errorDisplay');
-        errorDisplay.innerHTML = `<p>❌ ${message}</p>`;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = `❌ ${message}`;
+        errorDisplay.replaceChildren(paragraph);
         errorDisplay.style.display = 'block';
     }
 
@@ -317,6 +971,30 @@ function updateChart() {
     app.updateChart();
 }
 
+function changeBlueprint() {
+    app.changeBlueprint();
+}
+
+function changeOrg() {
+    app.changeOrg();
+}
+
+function updateChartTypeControls() {
+    app.updateChartTypeControls();
+}
+
+function updateStatisticControls() {
+    app.updateStatisticControls();
+}
+
+function updateTimeRangeControls() {
+    app.updateTimeRangeControls();
+}
+
+function updateMetricControls() {
+    app.updateMetricControls();
+}
+
 function updatePropertyValues() {
     app.updatePropertyValues();
 }
@@ -329,10 +1007,66 @@ function applyFilter() {
     app.applyFilter();
 }
 
+function addFilterCondition() {
+    app.addFilterCondition();
+}
+
 function clearFilter() {
     app.clearFilter();
 }
 
+function exportChart(format) {
+    app.exportChart(format);
+}
+
+function closeDrillDown() {
+    drillDownTable.hide();
+}
+
+function selectView() {
+    app.selectView();
+}
+
+function saveView() {
+    app.saveView();
+}
+
+function updateView() {
+    app.updateView();
+}
+
+function deleteView() {
+    app.deleteView();
+}
+
+function toggleDefaultView() {
+    app.toggleDefaultView();
+}
+
+function changeLayoutMode() {
+    app.changeLayoutMode();
+}
+
+function addPanel() {
+    app.addPanel();
+}
+
+function toggleSharedTimeRange() {
+    app.toggleSharedTimeRange();
+}
+
+function updateAnomalyControls() {
+    app.updateAnomalyControls();
+}
+
+function signIn(event) {
+    session.signIn(event);
+}
+
+function signOut() {
+    session.signOut();
+}
+
 // Initialize app when DOM is loaded
 let app;
 document.addEventListener('DOMContentLoaded', () => {
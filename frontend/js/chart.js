@@ -1,69 +1,98 @@
 // Chart management
 class ChartManager {
-    constructor() {
+    // One manager per canvas - the main chart and each dashboard panel have their own
+    constructor(canvas) {
         this.chart = null;
-        this.canvas = document.getElementById('chartCanvas');
+        this.canvas = canvas;
         this.ctx = this.canvas.getContext('2d');
+        this.titlePrefix = 'Port PR Analytics';
+        // Called with { date, group } when a bar or point is clicked
+        this.onPointClick = null;
     }
 
-    createChart(data, chartType = 'bar', metric = 'hours', statistic = 'median') {
+    // `metric` is the lifecycle metric definition returned by /api/port/chart.
+    // `groups` (optional) holds one series per group-by value and produces one dataset each.
+    // `comparison` (optional) is overlaid as a dashed line, matched to the buckets by position.
+    // `anomalies` (optional, /api/port/chart anomalies) are marked on the buckets they flag.
+    createChart(data, chartType = 'bar', metric = null, statistic = 'median', groups = null, comparison = null, anomalies = null) {
         // Destroy existing chart
         if (this.chart) {
             this.chart.destroy();
         }
 
+        const isStacked = chartType === 'stackedBar';
         const labels = data.map(item => item.date);
-        // Use statistic value for hours metric, otherwise use metric directly
-        const values = data.map(item => {
-            if (metric === 'hours' || metric === 'avgHours') {
-                return item.value || item[statistic] || item.median;
-            }
-            return item[metric];
-        });
+        const datasets = groups && groups.length > 0
+            ? groups.map((group, index) => ({
+                ...this.buildDataset(group.key, group.data, chartType, this.getSeriesColor(index, group.isOther), false),
+                groupKey: group.key
+            }))
+            : [this.buildDataset(this.getMetricLabel(statistic), data, chartType, this.getSeriesColor(0), chartType === 'line')];
+
+        if (comparison) {
+            datasets.push(this.buildComparisonDataset(comparison, data.length, statistic));
+        }
+
+        if (anomalies && anomalies.length > 0) {
+            datasets.push(this.buildAnomalyDataset(anomalies, labels));
+        }
 
         const config = {
-            type: chartType,
+            type: isStacked ? 'bar' : chartType,
             data: {
                 labels: labels,
-                datasets: [{
-                    label: this.getMetricLabel(metric, statistic),
-                    data: values,
-                    backgroundColor: chartType === 'bar' ? 
-                        'rgba(52, 152, 219, 0.8)' : 
-                        'rgba(52, 152, 219, 0.2)',
-                    borderColor: 'rgba(52, 152, 219, 1)',
-                    borderWidth: 2,
-                    fill: chartType === 'line'
-                }]
+                datasets: datasets
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                onClick: (event, elements) => this.handleClick(elements),
+                onHover: (event, elements) => {
+                    event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+                },
                 plugins: {
                     title: {
                         display: true,
-                        text: `Port PR Analytics - ${this.getMetricLabel(metric, statistic)}`,
+                        text: this.getChartTitle(metric, statistic),
                         font: {
                             size: 16,
                             weight: 'bold'
                         }
                     },
                     legend: {
+                        // Clicking a legend entry toggles that series
                         display: true,
                         position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            // Comparison points are plotted on the current buckets - name their own bucket
+                            title: (items) => items.map(item => {
+                                const comparisonItem = item.dataset.comparisonData && item.dataset.comparisonData[item.dataIndex];
+                                return comparisonItem ? `${item.label} (vs ${comparisonItem.date})` : item.label;
+                            })[0],
+                            label: (item) => {
+                                const anomaly = item.dataset.anomalyData && item.dataset.anomalyData[item.dataIndex];
+                                return anomaly
+                                    ? `⚠️ Anomaly: ${anomaly.value.toFixed(1)} vs baseline ${anomaly.baseline.toFixed(1)} (score ${anomaly.score.toFixed(1)})`
+                                    : `${item.dataset.label}: ${item.formattedValue}`;
+                            }
+                        }
                     }
                 },
                 scales: {
                     x: {
+                        stacked: isStacked,
                         title: {
                             display: true,
                             text: 'Date'
                         }
                     },
                     y: {
+                        stacked: isStacked,
                         title: {
                             display: true,
-                            text: this.getMetricLabel(metric, statistic)
+                            text: this.getMetricLabel(statistic)
                         },
                         beginAtZero: true
                     }
@@ -75,69 +104,346 @@ class ChartManager {
             }
         };
 
+        this.chartType = chartType;
         this.chart = new Chart(this.ctx, config);
     }
 
-    updateChart(data, chartType, metric, statistic = 'median') {
-        if (!this.chart) {
-            this.createChart(data, chartType, metric, statistic);
+    buildDataset(label, data, chartType, color, fill) {
+        const isLine = chartType === 'line';
+
+        return {
+            label: label,
+            // The backend puts the selected statistic in `value`
+            data: data.map(item => item.value),
+            backgroundColor: isLine ? color.replace('1)', '0.2)') : color.replace('1)', '0.8)'),
+            borderColor: color,
+            borderWidth: 2,
+            fill: fill,
+            // Empty buckets come back as null - leave a visible gap instead of joining the line
+            spanGaps: false
+        };
+    }
+
+    // Report the clicked bucket (and group-by series) - the comparison overlay has nothing to drill into
+    handleClick(elements) {
+        if (!this.onPointClick || elements.length === 0) {
             return;
         }
 
-        // Check if chart type has changed
-        if (this.chart.config.type !== chartType) {
-            console.log(`Chart type changed from ${this.chart.config.type} to ${chartType}`);
-            this.createChart(data, chartType, metric, statistic);
+        // Histogram bins are hour ranges, not buckets
+        const dataset = this.chart.data.datasets[elements[0].datasetIndex];
+        if (dataset.comparisonData || this.chartType === 'histogram') {
             return;
         }
 
-        const labels = data.map(item => item.date);
-        // Use statistic value for hours metric, otherwise use metric directly
-        const values = data.map(item => {
-            if (metric === 'hours' || metric === 'avgHours') {
-                return item.value || item[statistic] || item.median;
-            }
-            return item[metric];
+        this.onPointClick({
+            date: this.chart.data.labels[elements[0].index],
+            group: dataset.groupKey
         });
+    }
+
+    buildComparisonDataset(comparison, length, statistic) {
+        const color = 'rgba(127, 140, 141, 1)';
+        // Pad or cut the previous period to the number of current buckets
+        const comparisonData = Array.from({ length: length }, (item, index) => comparison.data[index] || null);
+        const periodLabel = comparison.mode === 'lastYear' ? 'Same Period Last Year' : 'Previous Period';
+
+        return {
+            label: `${this.getMetricLabel(statistic)} (${periodLabel})`,
+            type: 'line',
+            data: comparisonData.map(item => item ? item.value : null),
+            comparisonData: comparisonData,
+            backgroundColor: color.replace('1)', '0.2)'),
+            borderColor: color,
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 2,
+            fill: false,
+            spanGaps: false,
+            // Keep the overlay out of stacked bars
+            stack: 'comparison',
+            order: -1
+        };
+    }
+
+    // Markers on flagged buckets: triangles for spikes, diamonds for dips
+    buildAnomalyDataset(anomalies, labels) {
+        const anomaliesByDate = new Map(anomalies.map(anomaly => [anomaly.date, anomaly]));
+        const anomalyData = labels.map(date => anomaliesByDate.get(date) || null);
+
+        return {
+            label: 'Anomalies',
+            type: 'line',
+            data: anomalyData.map(anomaly => anomaly ? anomaly.value : null),
+            anomalyData: anomalyData,
+            showLine: false,
+            pointStyle: anomalyData.map(anomaly => anomaly && anomaly.direction === 'low' ? 'rectRot' : 'triangle'),
+            pointRadius: anomalyData.map(anomaly => anomaly ? 9 : 0),
+            pointHoverRadius: anomalyData.map(anomaly => anomaly ? 11 : 0),
+            backgroundColor: 'rgba(231, 76, 60, 0.9)',
+            borderColor: 'rgba(192, 57, 43, 1)',
+            borderWidth: 2,
+            fill: false,
+            // Keep the markers out of stacked bars and draw them on top
+            stack: 'anomalies',
+            order: -2
+        };
+    }
+
+    getSeriesColor(index, isOther = false) {
+        if (isOther) {
+            return 'rgba(149, 165, 166, 1)';
+        }
+
+        const palette = [
+            'rgba(52, 152, 219, 1)',
+            'rgba(231, 76, 60, 1)',
+            'rgba(46, 204, 113, 1)',
+            'rgba(155, 89, 182, 1)',
+            'rgba(241, 196, 15, 1)',
+            'rgba(230, 126, 34, 1)',
+            'rgba(26, 188, 156, 1)',
+            'rgba(52, 73, 94, 1)'
+        ];
+        return palette[index % palette.length];
+    }
+
+    updateChart(data, chartType, metric, statistic = 'median', groups = null, comparison = null, anomalies = null) {
+        const isGrouped = Boolean(groups && groups.length > 0);
+        const hasAnomalies = Boolean(anomalies && anomalies.length > 0);
+
+        // Rebuild when the chart type or the set of series changes
+        if (!this.chart || this.chartType !== chartType || isGrouped || comparison || hasAnomalies || this.chart.data.datasets.length !== 1) {
+            if (this.chart && this.chartType !== chartType) {
+                console.log(`Chart type changed from ${this.chartType} to ${chartType}`);
+            }
+            this.createChart(data, chartType, metric, statistic, groups, comparison, anomalies);
+            return;
+        }
+
+        const labels = data.map(item => item.date);
+        // The backend puts the selected statistic in `value`
+        const values = data.map(item => item.value);
 
         this.chart.data.labels = labels;
         this.chart.data.datasets[0].data = values;
-        this.chart.data.datasets[0].label = this.getMetricLabel(metric, statistic);
-        this.chart.options.plugins.title.text = `Port PR Analytics - ${this.getMetricLabel(metric, statistic)}`;
-        this.chart.options.scales.y.title.text = this.getMetricLabel(metric, statistic);
+        this.chart.data.datasets[0].label = this.getMetricLabel(statistic);
+        this.chart.options.plugins.title.text = this.getChartTitle(metric, statistic);
+        this.chart.options.scales.y.title.text = this.getMetricLabel(statistic);
 
         this.chart.update('active');
     }
 
-    getMetricLabel(metric, statistic = 'median') {
-        const metricLabels = {
-            'hours': 'Hours',
-            'count': 'Count',
-            'avgHours': 'Hours'
-        };
-        
+    // `histogram` is the /api/port/chart histogram block ({ scale, bins: [{ start, end, count }] })
+    showHistogram(histogram, metric) {
+        if (!histogram || histogram.bins.length === 0) {
+            this.showEmptyChart();
+            return;
+        }
+
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        const color = this.getSeriesColor(0);
+        const formatHours = hours => hours >= 10 ? hours.toFixed(0) : hours.toFixed(1);
+        const scaleText = histogram.scale === 'log' ? ' (log bins)' : '';
+
+        this.chartType = 'histogram';
+        this.chart = new Chart(this.ctx, {
+            type: 'bar',
+            data: {
+                labels: histogram.bins.map(bin => `${formatHours(bin.start)}–${formatHours(bin.end)}h`),
+                datasets: [{
+                    label: 'Entities',
+                    data: histogram.bins.map(bin => bin.count),
+                    backgroundColor: color.replace('1)', '0.8)'),
+                    borderColor: color,
+                    borderWidth: 1,
+                    // Adjacent bars, as in a histogram
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.getDistributionTitle('Distribution', metric),
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: `Hours${scaleText}`
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Count'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    // One box per bucket from the `box` of each series item: p25-p75 box, min-p95 whisker,
+    // median marker and outlier points - drawn with floating bars and points of Chart.js itself
+    showBoxPlot(data, metric) {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        const labels = data.map(item => item.date);
+        const color = this.getSeriesColor(0);
+        const outliers = data.flatMap(item => item.box ? item.box.outliers.map(hours => ({ x: item.date, y: hours })) : []);
+
+        this.chartType = 'boxplot';
+        this.chart = new Chart(this.ctx, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [
+                    {
+                        label: 'min – p95',
+                        data: data.map(item => item.box ? [item.box.min, item.box.p95] : null),
+                        backgroundColor: 'rgba(44, 62, 80, 0.8)',
+                        barPercentage: 0.06,
+                        grouped: false
+                    },
+                    {
+                        label: 'p25 – p75',
+                        data: data.map(item => item.box ? [item.box.p25, item.box.p75] : null),
+                        backgroundColor: color.replace('1)', '0.5)'),
+                        borderColor: color,
+                        borderWidth: 2,
+                        barPercentage: 0.6,
+                        grouped: false
+                    },
+                    {
+                        label: 'Median',
+                        type: 'line',
+                        data: data.map(item => item.box ? item.box.median : null),
+                        showLine: false,
+                        pointStyle: 'line',
+                        pointRadius: 14,
+                        pointHoverRadius: 14,
+                        borderColor: 'rgba(44, 62, 80, 1)',
+                        borderWidth: 3
+                    },
+                    {
+                        label: 'Outliers',
+                        type: 'line',
+                        data: outliers,
+                        showLine: false,
+                        pointRadius: 4,
+                        backgroundColor: this.getSeriesColor(1),
+                        borderColor: this.getSeriesColor(1)
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                onClick: (event, elements) => this.handleClick(elements),
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.getDistributionTitle('Box Plot', metric),
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Date'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Hours'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    getDistributionTitle(view, metric) {
+        const title = `${this.titlePrefix} - ${view}`;
+        return metric ? `${title} · ${metric.description}` : title;
+    }
+
+    getMetricLabel(statistic = 'median') {
         const statisticLabels = {
             'median': 'Median',
             'average': 'Average',
-            'p50': 'p50 (50th percentile)',
-            'p95': 'p95 (95th percentile)'
+            'trimmedMean': 'Trimmed Mean',
+            'min': 'Min',
+            'max': 'Max',
+            'stddev': 'Std. Deviation of',
+            'rollingMedian7': '7-day Rolling Median',
+            'rollingMedian28': '28-day Rolling Median'
         };
+
+        // Any percentile, e.g. p95 or p99.9
+        const percentile = /^p(\d+(\.\d+)?)$/.exec(statistic);
+        if (percentile) {
+            return `p${percentile[1]} Hours`;
+        }
         
-        const metricName = metricLabels[metric] || metric;
-        const statisticName = statisticLabels[statistic] || statistic;
+        if (statistic === 'count') {
+            return 'Count';
+        }
         
-        // For hours-based metrics, include the statistic
-        if (metric === 'hours' || metric === 'avgHours') {
-            return `${statisticName} ${metricName}`;
+        if (statistic === 'sum') {
+            return 'Total Hours';
         }
         
-        return metricName;
+        const statisticName = statisticLabels[statistic] || statistic;
+        return `${statisticName} Hours`;
+    }
+
+    getChartTitle(metric, statistic = 'median') {
+        const title = `${this.titlePrefix} - ${this.getMetricLabel(statistic)}`;
+        return metric ? `${title} · ${metric.description}` : title;
+    }
+
+    destroy() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
     }
 
     showEmptyChart() {
         if (this.chart) {
             this.chart.destroy();
         }
+        this.chartType = null;
 
         this.chart = new Chart(this.ctx, {
             type: 'bar',
@@ -185,4 +491,4 @@ class ChartManager {
 }
 
 // Global chart manager instance
-const chartManager = new ChartManager();
+const chartManager = new ChartManager(document.getElementById('chartCanvas'));
@@ -0,0 +1,240 @@
+// Dashboard mode - a grid of chart panels, each with its own control state (metric, statistic,
+// filters, group-by, ...). The chart controls edit the active panel; with a shared time range,
+// time range changes apply to every panel.
+class Dashboard {
+    constructor() {
+        this.enabled = false;
+        this.panels = [];
+        this.activeId = null;
+        this.nextId = 1;
+        this.sharedTimeRange = true;
+        // Controls copied from the active panel to all others while the time range is shared
+        this.sharedControls = ['timeRange', 'startDate', 'endDate', 'timezone'];
+        this.grid = document.getElementById('dashboardGrid');
+    }
+
+    // Switch to dashboard mode with a single panel showing `state`
+    enable(state) {
+        if (this.enabled) {
+            return;
+        }
+
+        this.enabled = true;
+        this.addPanel(state);
+        this.toggleDisplay();
+    }
+
+    disable() {
+        this.panels.forEach(panel => panel.manager.destroy());
+        this.panels = [];
+        this.activeId = null;
+        this.grid.innerHTML = '';
+        this.enabled = false;
+        this.toggleDisplay();
+    }
+
+    toggleDisplay() {
+        document.getElementById('layoutMode').value = this.enabled ? 'dashboard' : 'single';
+        document.getElementById('sharedTimeRange').checked = this.sharedTimeRange;
+        document.getElementById('chartContainer').style.display = this.enabled ? 'none' : '';
+        this.grid.style.display = this.enabled ? '' : 'none';
+        document.querySelectorAll('.dashboard-options').forEach(element => {
+            element.style.display = this.enabled ? '' : 'none';
+        });
+    }
+
+    getPanel(id) {
+        return this.panels.find(panel => panel.id === id) || null;
+    }
+
+    getActivePanel() {
+        return this.getPanel(this.activeId);
+    }
+
+    // New panels become the active one
+    addPanel(state) {
+        const id = `panel-${this.nextId++}`;
+        const element = document.createElement('div');
+        element.className = 'dashboard-panel';
+        element.innerHTML = `
+            <div class="panel-header">
+                <span class="panel-title"></span>
+                <span class="panel-buttons">
+                    <button type="button" data-action="up" title="Move up">▲</button>
+                    <button type="button" data-action="down" title="Move down">▼</button>
+                    <button type="button" data-action="remove" title="Remove panel">✕</button>
+                </span>
+            </div>
+            <div class="panel-chart"><canvas></canvas></div>
+            <p class="panel-status"></p>
+        `;
+
+        const panel = {
+            id,
+            state,
+            element,
+            manager: new ChartManager(element.querySelector('canvas')),
+            chartOptions: null,
+            response: null
+        };
+        // Bars of any panel open the drill-down with that panel's query
+        panel.manager.onPointClick = (point) => app.showDrillDown(point, panel.chartOptions);
+
+        // Clicking the header makes the panel the one the controls edit
+        element.querySelector('.panel-header').addEventListener('click', () => app.selectPanel(id));
+        element.querySelectorAll('.panel-buttons button').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const action = button.dataset.action;
+                if (action === 'remove') {
+                    app.removePanel(id);
+                } else {
+                    this.movePanel(id, action === 'up' ? -1 : 1);
+                }
+            });
+        });
+
+        this.panels.push(panel);
+        this.activeId = id;
+        this.renderLayout();
+        return panel;
+    }
+
+    // The last panel cannot be removed; returns the panel that is active afterwards
+    removePanel(id) {
+        const index = this.panels.findIndex(panel => panel.id === id);
+        if (index === -1 || this.panels.length === 1) {
+            return null;
+        }
+
+        const [panel] = this.panels.splice(index, 1);
+        panel.manager.destroy();
+        panel.element.remove();
+        if (this.activeId === id) {
+            this.activeId = this.panels[Math.min(index, this.panels.length - 1)].id;
+        }
+        this.renderLayout();
+        return this.getActivePanel();
+    }
+
+    movePanel(id, offset) {
+        const index = this.panels.findIndex(panel => panel.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.panels.length) {
+            return;
+        }
+
+        [this.panels[index], this.panels[target]] = [this.panels[target], this.panels[index]];
+        this.renderLayout();
+    }
+
+    setActive(id) {
+        if (this.getPanel(id)) {
+            this.activeId = id;
+            this.renderLayout();
+        }
+    }
+
+    // Append panel elements in order and refresh titles and buttons
+    renderLayout() {
+        this.panels.forEach((panel, index) => {
+            const element = panel.element;
+            element.classList.toggle('active', panel.id === this.activeId);
+            element.querySelector('.panel-title').textContent =
+                `Panel ${index + 1}${panel.id === this.activeId ? ' (editing)' : ''}`;
+            element.querySelector('[data-action="up"]').disabled = index === 0;
+            element.querySelector('[data-action="down"]').disabled = index === this.panels.length - 1;
+            element.querySelector('[data-action="remove"]').disabled = this.panels.length === 1;
+            this.grid.appendChild(element);
+        });
+    }
+
+    // Store the controls' state on the active panel; returns the other panels whose shared
+    // controls changed and need to be redrawn
+    updateActivePanel(state) {
+        const activePanel = this.getActivePanel();
+        activePanel.state = state;
+        if (!this.sharedTimeRange) {
+            return [];
+        }
+
+        const shared = {};
+        this.sharedControls.forEach(control => {
+            shared[control] = state[control];
+        });
+
+        return this.panels.filter(panel => {
+            if (panel === activePanel ||
+                this.sharedControls.every(control => panel.state[control] === shared[control])) {
+                return false;
+            }
+            panel.state = { ...panel.state, ...shared };
+            return true;
+        });
+    }
+
+    async renderPanel(panel) {
+        const status = panel.element.querySelector('.panel-status');
+        try {
+            const chartOptions = app.getChartOptions(panel.state);
+            const response = await app.fetchChart(panel.state, chartOptions);
+            // The panel may have been removed while its chart was loading
+            if (!this.panels.includes(panel)) {
+                return;
+            }
+            panel.chartOptions = chartOptions;
+            this.showResponse(panel, response);
+        } catch (error) {
+            console.error('Panel update error:', error);
+            status.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    showResponse(panel, response) {
+        panel.response = response;
+        panel.manager.titlePrefix = app.getBlueprintTitle(panel.state.blueprint);
+        const hasData = app.renderChart(panel.manager, response, panel.state);
+        let status;
+        if (response.source === 'history') {
+            status = `Snapshot history · ${response.snapshotCount} snapshots`;
+        } else if (hasData) {
+            status = `${response.entityCount} entities${response.filterDescription ? ` matching ${response.filterDescription}` : ''}`;
+        } else {
+            status = '⚠️ No data matches the panel filter';
+        }
+        panel.element.querySelector('.panel-status').textContent = status;
+    }
+
+    renderInactivePanels() {
+        return Promise.all(this.panels
+            .filter(panel => panel.id !== this.activeId)
+            .map(panel => this.renderPanel(panel)));
+    }
+
+    // Layout stored with saved views
+    getLayout() {
+        return {
+            panels: this.panels.map(panel => panel.state),
+            activeIndex: this.panels.findIndex(panel => panel.id === this.activeId),
+            sharedTimeRange: this.sharedTimeRange
+        };
+    }
+
+    // Replace the panels with a saved layout; charts are drawn by the caller
+    load(layout) {
+        this.disable();
+        if (!layout || !Array.isArray(layout.panels) || layout.panels.length === 0) {
+            return;
+        }
+
+        this.enabled = true;
+        this.sharedTimeRange = layout.sharedTimeRange !== false;
+        layout.panels.forEach(state => this.addPanel(state));
+        const activePanel = this.panels[layout.activeIndex] || this.panels[0];
+        this.setActive(activePanel.id);
+        this.toggleDisplay();
+    }
+}
+
+// Global dashboard instance
+const dashboard = new Dashboard();
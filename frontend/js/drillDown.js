@@ -0,0 +1,108 @@
+// Drill-down table - the entities behind one clicked bucket, from /api/port/chart/drilldown
+class DrillDownTable {
+    constructor() {
+        this.section = document.getElementById('drillDownSection');
+        this.title = document.getElementById('drillDownTitle');
+        this.summary = document.getElementById('drillDownSummary');
+        this.table = document.getElementById('drillDownTable');
+        this.rows = [];
+        this.sortColumn = 'hours';
+        this.sortDirection = 'desc';
+
+        this.columns = [
+            { key: 'identifier', label: 'Identifier' },
+            { key: 'title', label: 'Title' },
+            { key: 'author', label: 'Author' },
+            { key: 'repository', label: 'Repository' },
+            { key: 'hours', label: 'Hours' },
+            { key: 'links', label: 'Links', sortable: false }
+        ];
+    }
+
+    show(response) {
+        this.rows = response.data;
+        const groupText = response.group !== undefined ? ` · ${response.group}` : '';
+        this.title.textContent = `🔎 ${response.date}${groupText} - ${response.count} entities`;
+
+        const filterText = response.filterDescription ? ` · filter: ${response.filterDescription}` : '';
+        const fenceText = response.outlierFences.upper !== null
+            ? ` · outliers above ${response.outlierFences.upper.toFixed(1)}h`
+            : '';
+        this.summary.textContent = response.count > 0
+            ? `Median ${response.statistics.median.toFixed(1)}h · p95 ${response.statistics.p95.toFixed(1)}h${fenceText}${filterText}`
+            : `No entities in this bucket${filterText}`;
+
+        this.render();
+        this.section.style.display = 'block';
+        this.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    hide() {
+        this.section.style.display = 'none';
+        this.rows = [];
+    }
+
+    sortBy(column) {
+        if (this.sortColumn === column) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortColumn = column;
+            this.sortDirection = column === 'hours' ? 'desc' : 'asc';
+        }
+        this.render();
+    }
+
+    getSortedRows() {
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+        return [...this.rows].sort((a, b) => {
+            const left = a[this.sortColumn];
+            const right = b[this.sortColumn];
+            if (left === right) {
+                return 0;
+            }
+            if (left === null || left === undefined) {
+                return 1;
+            }
+            if (right === null || right === undefined) {
+                return -1;
+            }
+            if (typeof left === 'number' && typeof right === 'number') {
+                return (left - right) * direction;
+            }
+            return String(left).localeCompare(String(right), undefined, { numeric: true }) * direction;
+        });
+    }
+
+    render() {
+        const header = this.columns.map(column => {
+            if (column.sortable === false) {
+                return `<th>${column.label}</th>`;
+            }
+            const arrow = this.sortColumn === column.key ? (this.sortDirection === 'asc' ? ' ▲' : ' ▼') : '';
+            return `<th class="sortable" data-column="${column.key}">${column.label}${arrow}</th>`;
+        }).join('');
+
+        const body = this.getSortedRows().map(row => {
+            const links = [['Port', row.links.port], ['Source', row.links.source]]
+                .filter(([label, url]) => html.isSafeUrl(url))
+                .map(([label, url]) => `<a href="${html.escape(url)}" target="_blank" rel="noopener">${label}</a>`);
+
+            return `<tr class="${row.outlier ? 'outlier' : ''}">
+                <td>${html.escape(row.identifier)}</td>
+                <td>${html.escape(row.title)}</td>
+                <td>${html.escape(row.author)}</td>
+                <td>${html.escape(row.repository)}</td>
+                <td class="numeric">${row.hours.toFixed(1)}${row.outlier ? ' ⚠️' : ''}</td>
+                <td>${links.join(' · ')}</td>
+            </tr>`;
+        }).join('');
+
+        this.table.innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+        this.table.querySelectorAll('th.sortable').forEach(th => {
+            th.addEventListener('click', () => this.sortBy(th.dataset.column));
+        });
+    }
+}
+
+// Global drill-down table instance
+const drillDownTable = new DrillDownTable();
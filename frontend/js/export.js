@@ -0,0 +1,113 @@
+// Chart export - series and entity downloads (CSV from the backend, JSON from the last
+// /api/port/chart response) and PNG/SVG images of the chart canvas
+class ChartExporter {
+    constructor() {
+        this.headerLineHeight = 22;
+        this.padding = 16;
+    }
+
+    // `response` is the last /api/port/chart response, `options` the query it was built from
+    exportSeries(format, response, options) {
+        if (format === 'csv') {
+            this.downloadUrl(apiClient.getExportUrl('/port/chart.csv', options));
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(response, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `${this.getBaseName(response)}.json`);
+    }
+
+    exportEntities(format, response, options) {
+        this.downloadUrl(
+            apiClient.getExportUrl('/port/chart/entities', { ...options, format }),
+            `${this.getBaseName(response)}-entities.${format}`
+        );
+    }
+
+    // Canvas image with the chart title, range and filter description above the chart;
+    // `manager` is the ChartManager that drew it (a dashboard panel or the main chart)
+    async exportImage(format, response, manager = chartManager) {
+        const canvas = manager.canvas;
+        const headerLines = this.getHeaderLines(response, manager);
+        const headerHeight = this.padding * 2 + headerLines.length * this.headerLineHeight;
+        const width = canvas.width;
+        const height = canvas.height + headerHeight;
+        const baseName = this.getBaseName(response);
+
+        if (format === 'svg') {
+            const text = headerLines.map((line, index) => {
+                const y = this.padding + (index + 1) * this.headerLineHeight - 6;
+                const weight = index === 0 ? 'bold' : 'normal';
+                return `<text x="${this.padding}" y="${y}" font-family="sans-serif" font-size="14" font-weight="${weight}" fill="#2c3e50">${this.escapeXml(line)}</text>`;
+            }).join('');
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+                `<rect width="100%" height="100%" fill="white"/>${text}` +
+                `<image x="0" y="${headerHeight}" width="${canvas.width}" height="${canvas.height}" href="${canvas.toDataURL('image/png')}"/>` +
+                '</svg>';
+            this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`);
+            return;
+        }
+
+        const image = document.createElement('canvas');
+        image.width = width;
+        image.height = height;
+        const ctx = image.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#2c3e50';
+        headerLines.forEach((line, index) => {
+            ctx.font = `${index === 0 ? 'bold ' : ''}14px sans-serif`;
+            ctx.fillText(line, this.padding, this.padding + (index + 1) * this.headerLineHeight - 6);
+        });
+        ctx.drawImage(canvas, 0, headerHeight);
+
+        const blob = await new Promise(resolve => image.toBlob(resolve, 'image/png'));
+        this.downloadBlob(blob, `${baseName}.png`);
+    }
+
+    getHeaderLines(response, manager) {
+        const lines = [manager.chart ? manager.chart.options.plugins.title.text : manager.titlePrefix];
+
+        if (response.range && response.range.start) {
+            const start = response.range.start.split('T')[0];
+            const end = response.range.end ? response.range.end.split('T')[0] : 'now';
+            lines.push(`${response.blueprint} · ${start} to ${end} (${response.timezone}) · ${response.entityCount} entities`);
+        }
+
+        lines.push(response.filterDescription ? `Filter: ${response.filterDescription}` : 'Filter: none');
+        return lines;
+    }
+
+    // e.g. github_pull_request-cycleTime-median-day (same naming as the backend CSV exports)
+    getBaseName(response) {
+        return [response.blueprint, response.metric && response.metric.id, response.statistic, response.bucket]
+            .filter(Boolean)
+            .join('-');
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        this.downloadUrl(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    downloadUrl(url, filename = '') {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+}
+
+// Global chart exporter instance
+const chartExporter = new ChartExporter();
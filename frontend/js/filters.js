@@ -0,0 +1,202 @@
+// Filter builder - edits the filter expression sent to the backend as `filter`
+class FilterBuilder {
+    constructor() {
+        this.container = document.getElementById('filterConditions');
+        this.combinatorSelect = document.getElementById('filterCombinator');
+        this.properties = [];
+        this.blueprint = null;
+        this.org = null;
+        this.valueCache = {};
+        this.rowCount = 0;
+
+        this.operators = [
+            { value: 'equals', label: 'equals', input: 'text' },
+            { value: 'notEquals', label: 'not equals', input: 'text' },
+            { value: 'contains', label: 'contains', input: 'text' },
+            { value: 'in', label: 'in list', input: 'list' },
+            { value: 'greaterThan', label: 'greater than', input: 'text' },
+            { value: 'lessThan', label: 'less than', input: 'text' },
+            { value: 'before', label: 'before date', input: 'date' },
+            { value: 'after', label: 'after date', input: 'date' },
+            { value: 'isEmpty', label: 'is empty', input: 'none' },
+            { value: 'isNotEmpty', label: 'is not empty', input: 'none' }
+        ];
+    }
+
+    setProperties(properties, blueprint, org) {
+        this.properties = properties;
+        this.blueprint = blueprint;
+        this.org = org;
+        this.valueCache = {};
+
+        // Keep existing rows but refresh their property options
+        this.container.querySelectorAll('.filter-condition').forEach(row => {
+            const select = row.querySelector('.filter-property');
+            const current = select.value;
+            this.fillPropertyOptions(select);
+            select.value = current;
+        });
+    }
+
+    fillPropertyOptions(select) {
+        select.innerHTML = '';
+        this.properties.forEach(property => {
+            const option = document.createElement('option');
+            option.value = property;
+            option.textContent = property;
+            select.appendChild(option);
+        });
+    }
+
+    addCondition(condition = {}) {
+        const rowId = `filterCondition${++this.rowCount}`;
+        const row = document.createElement('div');
+        row.className = 'filter-condition';
+        row.innerHTML = `
+            <select class="filter-property"></select>
+            <select class="filter-operator"></select>
+            <input type="text" class="filter-value" list="${rowId}Values" placeholder="Value">
+            <datalist id="${rowId}Values"></datalist>
+            <button type="button" class="filter-remove" title="Remove condition">✕</button>
+        `;
+
+        const propertySelect = row.querySelector('.filter-property');
+        const operatorSelect = row.querySelector('.filter-operator');
+        const valueInput = row.querySelector('.filter-value');
+
+        this.fillPropertyOptions(propertySelect);
+        this.operators.forEach(operator => {
+            const option = document.createElement('option');
+            option.value = operator.value;
+            option.textContent = operator.label;
+            operatorSelect.appendChild(option);
+        });
+
+        if (condition.property) {
+            propertySelect.value = condition.property;
+        }
+        operatorSelect.value = condition.operator || 'equals';
+        valueInput.value = Array.isArray(condition.value) ? condition.value.join(', ') : (condition.value ?? '');
+
+        propertySelect.addEventListener('change', () => this.loadValueSuggestions(row));
+        operatorSelect.addEventListener('change', () => this.updateValueInput(row));
+        row.querySelector('.filter-remove').addEventListener('click', () => row.remove());
+
+        this.container.appendChild(row);
+        this.updateValueInput(row);
+        this.loadValueSuggestions(row);
+        return row;
+    }
+
+    // Switch the value input to match the operator (date picker, list hint, hidden)
+    updateValueInput(row) {
+        const operator = this.operators.find(item => item.value === row.querySelector('.filter-operator').value);
+        const valueInput = row.querySelector('.filter-value');
+
+        valueInput.style.display = operator.input === 'none' ? 'none' : '';
+        valueInput.type = operator.input === 'date' ? 'date' : 'text';
+        valueInput.placeholder = operator.input === 'list' ? 'value1, value2, ...' : 'Value';
+    }
+
+    async loadValueSuggestions(row) {
+        const property = row.querySelector('.filter-property').value;
+        const datalist = row.querySelector('datalist');
+        if (!property) {
+            return;
+        }
+
+        try {
+            if (!this.valueCache[property]) {
+                const response = await apiClient.getPropertyValues(property, this.blueprint, this.org);
+                this.valueCache[property] = response.data;
+            }
+
+            datalist.innerHTML = '';
+            this.valueCache[property].slice(0, 200).forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                datalist.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading filter value suggestions:', error);
+        }
+    }
+
+    // Expression for the current rows, or null when there are no conditions
+    getExpression() {
+        const conditions = Array.from(this.container.querySelectorAll('.filter-condition')).map(row => {
+            const operator = row.querySelector('.filter-operator').value;
+            const rawValue = row.querySelector('.filter-value').value.trim();
+            const condition = {
+                property: row.querySelector('.filter-property').value,
+                operator: operator
+            };
+
+            if (operator === 'in') {
+                condition.value = rawValue.split(',').map(item => item.trim()).filter(item => item !== '');
+            } else if (operator !== 'isEmpty' && operator !== 'isNotEmpty') {
+                condition.value = rawValue;
+            }
+
+            return condition;
+        }).filter(condition => condition.property);
+
+        if (conditions.length === 0) {
+            return null;
+        }
+
+        return {
+            combinator: this.combinatorSelect.value,
+            conditions: conditions
+        };
+    }
+
+    // Expressions from a URL or a saved view are checked first; malformed ones are ignored
+    setExpression(expression) {
+        this.clear();
+        if (!expression) {
+            return;
+        }
+        if (!this.isValidExpression(expression)) {
+            console.warn('Ignoring malformed filter:', expression);
+            return;
+        }
+
+        this.combinatorSelect.value = expression.combinator || 'and';
+        // The builder edits a flat list; nested groups are only available through the API
+        expression.conditions
+            .filter(condition => !Array.isArray(condition.conditions))
+            .forEach(condition => this.addCondition(condition));
+    }
+
+    // { combinator, conditions: [{ property, operator, value } | nested expression] } with known operators
+    // and plain values - the same shape the backend accepts
+    isValidExpression(expression) {
+        if (!expression || typeof expression !== 'object' || !Array.isArray(expression.conditions)) {
+            return false;
+        }
+        if (expression.combinator !== undefined && !['and', 'or'].includes(expression.combinator)) {
+            return false;
+        }
+
+        const isPlainValue = value => ['string', 'number', 'boolean'].includes(typeof value);
+        return expression.conditions.every(condition => {
+            if (condition && Array.isArray(condition.conditions)) {
+                return this.isValidExpression(condition);
+            }
+            return Boolean(condition) && typeof condition === 'object' &&
+                typeof condition.property === 'string' && condition.property !== '' &&
+                this.operators.some(operator => operator.value === condition.operator) &&
+                (condition.value === undefined || isPlainValue(condition.value) ||
+                    (Array.isArray(condition.value) && condition.value.every(isPlainValue)));
+        });
+    }
+
+    clear() {
+        this.container.innerHTML = '';
+        this.combinatorSelect.value = 'and';
+    }
+}
+
+// Global filter builder instance
+const filterBuilder = new FilterBuilder();
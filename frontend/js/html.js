@@ -0,0 +1,27 @@
+// Helpers for markup built from data: entity titles, property paths and links come from Port or from a shared URL
+class Html {
+    // Text for element content and quoted attributes; arrays are listed comma-separated
+    escape(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Only http(s) URLs are used as links, so an entity property cannot smuggle in javascript:
+    isSafeUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Global HTML helper instance
+const html = new Html();
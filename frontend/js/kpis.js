@@ -0,0 +1,112 @@
+// KPI cards - headline numbers from /api/port/kpis, each with an inline SVG sparkline
+class KpiPanel {
+    constructor() {
+        this.container = document.getElementById('kpiCards');
+
+        // `better` tells which direction of change is an improvement (null = neither)
+        this.cards = [
+            { key: 'total', label: 'Total', format: 'count', better: null },
+            { key: 'median', label: 'Median', format: 'hours', better: 'lower' },
+            { key: 'p95', label: 'p95', format: 'hours', better: 'lower' },
+            { key: 'throughput', label: 'Throughput / Week', format: 'rate', better: 'higher' },
+            { key: 'open', label: 'Open', format: 'count', better: 'lower' },
+            { key: 'completed', label: 'Completed', format: 'count', better: 'higher' }
+        ];
+    }
+
+    render(response) {
+        const periodLabel = response.comparison && response.comparison.mode === 'lastYear'
+            ? 'same period last year'
+            : 'previous period';
+
+        this.container.innerHTML = this.cards.map(card => {
+            const kpi = response.data[card.key];
+            const hint = card.key === 'completed' || card.key === 'open'
+                ? `<span class="kpi-hint">${card.key === 'open' ? 'without' : 'with'} ${html.escape(response.metric.end)}</span>`
+                : '';
+
+            return `<div class="kpi-card">
+                <div class="kpi-label">${card.label}</div>
+                <div class="kpi-value">${this.formatValue(kpi.value, card.format)}</div>
+                ${this.renderTrend(kpi, card, periodLabel)}
+                ${this.renderSparkline(kpi.sparkline)}
+                ${hint}
+            </div>`;
+        }).join('');
+        this.container.parentElement.style.display = '';
+    }
+
+    renderTrend(kpi, card, periodLabel) {
+        if (kpi.percentChange === undefined) {
+            return '<div class="kpi-trend">no previous period</div>';
+        }
+        if (kpi.percentChange === null) {
+            return `<div class="kpi-trend">n/a vs ${this.formatValue(kpi.previous, card.format)}</div>`;
+        }
+
+        let trend = 'neutral';
+        if (card.better && kpi.change !== 0) {
+            trend = (kpi.change < 0) === (card.better === 'lower') ? 'better' : 'worse';
+        }
+        const arrow = kpi.change > 0 ? '▲' : (kpi.change < 0 ? '▼' : '■');
+        const sign = kpi.change > 0 ? '+' : '';
+
+        return `<div class="kpi-trend kpi-${trend}" title="vs ${this.formatValue(kpi.previous, card.format)} in the ${periodLabel}">
+            ${arrow} ${sign}${kpi.percentChange.toFixed(1)}%
+        </div>`;
+    }
+
+    // Polyline over the non-empty buckets; empty buckets break the line
+    renderSparkline(values, width = 120, height = 28) {
+        const numbers = values.filter(value => value !== null);
+        if (numbers.length < 2) {
+            return `<svg class="kpi-sparkline" width="${width}" height="${height}"></svg>`;
+        }
+
+        const max = Math.max(...numbers);
+        const min = Math.min(...numbers);
+        const spread = max - min || 1;
+        const step = values.length > 1 ? width / (values.length - 1) : width;
+
+        const segments = [];
+        let current = [];
+        values.forEach((value, index) => {
+            if (value === null) {
+                if (current.length > 0) {
+                    segments.push(current);
+                }
+                current = [];
+                return;
+            }
+            const x = (index * step).toFixed(1);
+            const y = (height - 2 - ((value - min) / spread) * (height - 4)).toFixed(1);
+            current.push(`${x},${y}`);
+        });
+        if (current.length > 0) {
+            segments.push(current);
+        }
+
+        const lines = segments.map(points => `<polyline points="${points.join(' ')}" fill="none" stroke="#3498db" stroke-width="1.5"/>`);
+        return `<svg class="kpi-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${lines.join('')}</svg>`;
+    }
+
+    formatValue(value, format) {
+        if (value === null || value === undefined) {
+            return '–';
+        }
+        if (format === 'hours') {
+            return `${value.toFixed(1)}h`;
+        }
+        if (format === 'rate') {
+            return value.toFixed(1);
+        }
+        return String(value);
+    }
+
+    hide() {
+        this.container.parentElement.style.display = 'none';
+    }
+}
+
+// Global KPI panel instance
+const kpiPanel = new KpiPanel();
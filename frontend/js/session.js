@@ -0,0 +1,92 @@
+// Dashboard login - the signed-in user from /api/session, the login overlay and role-based controls
+class SessionManager {
+    constructor() {
+        this.overlay = document.getElementById('loginOverlay');
+        this.form = document.getElementById('loginForm');
+        this.error = document.getElementById('loginError');
+        this.badge = document.getElementById('userBadge');
+        this.user = null;
+        this.mode = null;
+        // Called once someone has signed in with the password form
+        this.onSignIn = null;
+    }
+
+    // Returns the signed-in user, or shows the login overlay and returns null
+    async load() {
+        const response = await apiClient.getSession();
+        this.mode = response.mode;
+        if (!response.data) {
+            this.showLogin();
+            return null;
+        }
+
+        this.setUser(response.data);
+        return this.user;
+    }
+
+    setUser(user) {
+        this.user = user;
+        document.getElementById('userName').textContent = `👤 ${user.username} · ${user.role}`;
+        document.getElementById('signOutButton').style.display = user.anonymous ? 'none' : '';
+        this.badge.style.display = '';
+        // Admin-only controls (setting the default view, ...) are hidden for viewers
+        document.body.classList.toggle('viewer-role', user.role !== 'admin');
+    }
+
+    isAdmin() {
+        return Boolean(this.user) && this.user.role === 'admin';
+    }
+
+    showLogin(message = '') {
+        const returnTo = window.location.pathname + window.location.search;
+        document.getElementById('localLogin').style.display = this.mode === 'local' ? '' : 'none';
+        document.getElementById('ssoLogin').style.display = this.mode === 'oidc' ? '' : 'none';
+        document.getElementById('ssoLogin').href = `/api/session/oidc/login?returnTo=${encodeURIComponent(returnTo)}`;
+        this.error.textContent = message;
+        this.badge.style.display = 'none';
+        this.overlay.style.display = '';
+    }
+
+    hideLogin() {
+        this.overlay.style.display = 'none';
+        this.form.reset();
+        this.error.textContent = '';
+    }
+
+    async signIn(event) {
+        event.preventDefault();
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value;
+
+        try {
+            const response = await apiClient.login(username, password);
+            this.setUser(response.data);
+            this.hideLogin();
+            if (this.onSignIn) {
+                this.onSignIn(this.user);
+            }
+        } catch (error) {
+            this.error.textContent = error.message.includes('[401]') ? 'Wrong username or password' : error.message;
+        }
+    }
+
+    async signOut() {
+        try {
+            await apiClient.logout();
+        } finally {
+            this.user = null;
+            this.showLogin();
+        }
+    }
+
+    // Any API call answered with 401 - the session expired or the server restarted
+    handleUnauthorized() {
+        if (this.overlay.style.display === 'none') {
+            this.user = null;
+            this.showLogin('Your session has expired. Please sign in again.');
+        }
+    }
+}
+
+// Global session instance
+const session = new SessionManager();
@@ -0,0 +1,100 @@
+// Dashboard state <-> URL query string, so views can be shared and back/forward works
+class UrlState {
+    constructor() {
+        // Control ids serialized as plain query parameters
+        this.controls = [
+            'blueprint',
+            'org',
+            'source',
+            'chartType',
+            'histogramBins',
+            'histogramScale',
+            'metric',
+            'metricStart',
+            'metricEnd',
+            'openHandling',
+            'timeRange',
+            'startDate',
+            'endDate',
+            'compare',
+            'anomalies',
+            'sensitivity',
+            'timezone',
+            'chartStatistic',
+            'percentile',
+            'bucketSize',
+            'groupBy',
+            'topN',
+            'groupOther',
+            'jsonProperty',
+            'propertyValue'
+        ];
+    }
+
+    // Read state from a query string; unknown parameters are ignored
+    parse(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+
+        this.controls.forEach(control => {
+            if (params.has(control)) {
+                state[control] = params.get(control);
+            }
+        });
+
+        if (params.has('filter')) {
+            try {
+                const filter = JSON.parse(params.get('filter'));
+                if (filterBuilder.isValidExpression(filter)) {
+                    state.filter = filter;
+                } else {
+                    console.warn('Ignoring malformed filter in URL');
+                }
+            } catch (error) {
+                console.warn('Ignoring invalid filter in URL:', error.message);
+            }
+        }
+
+        return state;
+    }
+
+    // Only values that differ from the defaults end up in the URL
+    toQueryString(state, defaults = {}) {
+        const params = new URLSearchParams();
+
+        this.controls.forEach(control => {
+            const value = state[control];
+            if (value !== undefined && value !== null && value !== '' && value !== defaults[control]) {
+                params.set(control, value);
+            }
+        });
+
+        if (state.filter) {
+            params.set('filter', JSON.stringify(state.filter));
+        }
+
+        const queryString = params.toString();
+        return queryString ? `?${queryString}` : '';
+    }
+
+    // Add a history entry unless the URL already holds this state
+    push(state, defaults) {
+        this.write(state, defaults, 'pushState');
+    }
+
+    replace(state, defaults) {
+        this.write(state, defaults, 'replaceState');
+    }
+
+    write(state, defaults, method) {
+        const queryString = this.toQueryString(state, defaults);
+        if (queryString === window.location.search) {
+            return;
+        }
+
+        window.history[method](state, '', `${window.location.pathname}${queryString}${window.location.hash}`);
+    }
+}
+
+// Global URL state instance
+const urlState = new UrlState();
@@ -0,0 +1,94 @@
+// Saved views - named dashboard states stored by the backend under /api/views
+class ViewSwitcher {
+    constructor() {
+        this.select = document.getElementById('savedView');
+        this.views = [];
+        this.defaultViewId = null;
+    }
+
+    async load() {
+        const response = await apiClient.getViews();
+        this.views = response.data;
+        this.defaultViewId = response.defaultViewId;
+        this.render();
+    }
+
+    render(selectedId = this.select.value) {
+        this.select.innerHTML = '<option value="">— Current settings —</option>';
+        this.views.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view.id;
+            option.textContent = view.id === this.defaultViewId ? `${view.name} ★` : view.name;
+            this.select.appendChild(option);
+        });
+
+        this.select.value = this.views.some(view => view.id === selectedId) ? selectedId : '';
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        const hasSelection = Boolean(this.getSelected());
+        // Only admins may change the default view
+        const isLocked = hasSelection && this.getSelected().id === this.defaultViewId && !session.isAdmin();
+        document.getElementById('updateViewButton').disabled = !hasSelection || isLocked;
+        document.getElementById('deleteViewButton').disabled = !hasSelection || isLocked;
+        document.getElementById('defaultViewButton').disabled = !hasSelection;
+        document.getElementById('defaultViewButton').textContent =
+            hasSelection && this.getSelected().id === this.defaultViewId ? '☆ Unset Default' : '★ Set Default';
+    }
+
+    getSelected() {
+        return this.views.find(view => view.id === this.select.value) || null;
+    }
+
+    getDefault() {
+        return this.views.find(view => view.id === this.defaultViewId) || null;
+    }
+
+    markSelected(id) {
+        this.select.value = id || '';
+        this.updateButtons();
+    }
+
+    async saveAs(state) {
+        const name = window.prompt('Name for this view:');
+        if (!name || !name.trim()) {
+            return null;
+        }
+
+        const response = await apiClient.createView(name.trim(), state);
+        this.views.push(response.data);
+        this.render(response.data.id);
+        return response.data;
+    }
+
+    async updateSelected(state) {
+        const view = this.getSelected();
+        const response = await apiClient.updateView(view.id, { state });
+        Object.assign(view, response.data);
+        return view;
+    }
+
+    async deleteSelected() {
+        const view = this.getSelected();
+        if (!window.confirm(`Delete the view "${view.name}"?`)) {
+            return false;
+        }
+
+        const response = await apiClient.deleteView(view.id);
+        this.views = this.views.filter(item => item.id !== view.id);
+        this.defaultViewId = response.defaultViewId;
+        this.render('');
+        return true;
+    }
+
+    async toggleDefault() {
+        const view = this.getSelected();
+        const response = await apiClient.setDefaultView(view.id, view.id !== this.defaultViewId);
+        this.defaultViewId = response.defaultViewId;
+        this.render(view.id);
+    }
+}
+
+// Global view switcher instance
+const viewSwitcher = new ViewSwitcher();